@@ -0,0 +1,357 @@
+const http = require('http');
+const { parseArgs } = require('util');
+const { chromium: stealthChromium } = require('playwright-extra');
+const { extractSocialLinks, fetchModes } = require('./social_link_extractor');
+const { scrapeFacebookProfile } = require('./facebook_scraper');
+const { scrapeLocalQueries, parsePageRange } = require('./scrapeLocal');
+const { findEmails } = require('./emailfinder');
+const { createBrowserPool } = require('./browser_pool');
+const { createNetworkPolicy, readProxyList } = require('./network_policy');
+const { createSessionStore } = require('./session_store');
+const { artifactModes } = require('./artifacts');
+const { defaultBackends } = require('./search_backends');
+const { createJobQueue } = require('./job_queue');
+
+/**
+ * Job types the server accepts
+ * Each names the parameter holding its input, the scraper options clients may set with their types, and how to run
+ * the scraper with the server's shared pools and network policy.
+ */
+const jobTypes = {
+  social: {
+    input: 'url',
+    options: {
+      crawl: 'boolean',
+      maxDepth: 'number',
+      maxPages: 'number',
+      readySelector: 'string',
+      extractContacts: 'boolean',
+      defaultCountry: 'string',
+      fetchMode: 'string'
+    },
+    validate: (params) => {
+      if (params.fetchMode !== undefined && !fetchModes.includes(params.fetchMode)) {
+        return `fetchMode must be one of ${fetchModes.join(', ')}`;
+      }
+      return null;
+    },
+    run: ({ url, ...options }, shared) => extractSocialLinks(url, { ...shared.scraperOptions, ...options, pool: shared.pool, network: shared.network })
+  },
+  facebook: {
+    input: 'url',
+    options: { about: 'boolean' },
+    run: ({ url, ...options }, shared) => scrapeFacebookProfile(url, { ...shared.scraperOptions, ...options, pool: shared.pool, network: shared.network })
+  },
+  local: {
+    input: 'query',
+    options: { pages: 'string', allPages: 'boolean', maxPages: 'number' },
+    validate: (params) => {
+      try {
+        if (params.pages !== undefined) parsePageRange(params.pages);
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    },
+    run: ({ query, pages, ...options }, shared) => scrapeLocalQueries([].concat(query), {
+      ...shared.scraperOptions,
+      ...options,
+      ...(pages !== undefined && { pages: parsePageRange(pages) }),
+      pool: shared.pool,
+      network: shared.network
+    })
+  },
+  email: {
+    input: 'domain',
+    options: { backend: 'string', query: 'string', pages: 'number', maxEmails: 'number', minScore: 'number' },
+    validate: (params) => (params.backend !== undefined && !defaultBackends[params.backend]
+      ? `backend must be one of ${Object.keys(defaultBackends).join(', ')}`
+      : null),
+    run: ({ domain, ...options }, shared) => findEmails(domain, {
+      artifacts: shared.scraperOptions.artifacts,
+      ...options,
+      pool: shared.stealthPool,
+      network: shared.network
+    })
+  }
+};
+
+/**
+ * Check a job submission against its type
+ * @param {Object} jobType - Entry of jobTypes
+ * @param {string} type - Job type name
+ * @param {Object} body - Parsed request body
+ * @returns {string|null} - What is wrong with the submission, or null when it is valid
+ */
+function validateSubmission(jobType, type, body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return 'Request body must be a JSON object';
+
+  const input = body[jobType.input];
+  const inputs = [].concat(input);
+  // Local jobs may search several queries at once
+  const validInput = type === 'local'
+    ? inputs.length > 0 && inputs.every(value => typeof value === 'string' && value.trim())
+    : typeof input === 'string' && input.trim();
+  if (!validInput) return `${jobType.input} is required`;
+
+  for (const [key, value] of Object.entries(body)) {
+    if (key === jobType.input) continue;
+    if (key === 'webhook') {
+      if (typeof value !== 'string' || !/^https?:\/\//i.test(value)) return 'webhook must be an http(s) URL';
+      continue;
+    }
+    if (!jobType.options[key]) return `Unknown option for ${type} jobs: ${key}`;
+    if (typeof value !== jobType.options[key]) return `${key} must be a ${jobType.options[key]}`;
+  }
+
+  return jobType.validate ? jobType.validate(body) : null;
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {Object} req - Incoming request
+ * @param {number} maxBytes - Largest body accepted
+ * @returns {Promise<*>} - Parsed body, or {} when empty
+ * @throws {Error} - With statusCode and code: 413 too_large, or 400 bad_request when not JSON
+ */
+async function readJsonBody(req, maxBytes) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > maxBytes) throw Object.assign(new Error(`Request body larger than ${maxBytes} bytes`), { statusCode: 413, code: 'too_large' });
+    chunks.push(chunk);
+  }
+
+  const text = Buffer.concat(chunks).toString('utf8').trim();
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw Object.assign(new Error(`Invalid JSON: ${error.message}`), { statusCode: 400, code: 'bad_request' });
+  }
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'content-type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body, null, 2) + '\n');
+};
+
+const sendError = (res, status, error, message) => sendJson(res, status, { error, message });
+
+/**
+ * POST a finished job to its webhook, retrying failed deliveries with a doubling wait
+ * @param {string} url - Webhook URL
+ * @param {Object} job - Finished job with its result
+ * @param {Object} config - Server options (webhookTimeout, webhookRetries)
+ * @returns {Promise<boolean>} - Whether the webhook answered with a 2xx status
+ */
+async function deliverWebhook(url, job, config) {
+  let failure = '';
+  for (let attempt = 0; attempt <= config.webhookRetries; attempt++) {
+    if (attempt > 0) await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(job),
+        signal: AbortSignal.timeout(config.webhookTimeout)
+      });
+      if (response.ok) return true;
+      failure = `HTTP ${response.status}`;
+    } catch (error) {
+      failure = error.cause ? `${error.message}: ${error.cause.code || error.cause.message}` : error.message;
+    }
+  }
+
+  console.error(`⚠️ Webhook for job ${job.id} failed after ${config.webhookRetries + 1} attempts (${failure}): ${url}`);
+  return false;
+}
+
+/**
+ * Create the HTTP API: submit scraper jobs, poll their status and fetch their results as JSON
+ * Routes:
+ *   POST /jobs/social    { url, crawl, maxDepth, maxPages, readySelector, extractContacts, defaultCountry, fetchMode }
+ *   POST /jobs/facebook  { url, about }
+ *   POST /jobs/local     { query, pages, allPages, maxPages } where query may be a list and pages a range such as "1-3"
+ *   POST /jobs/email     { domain, backend, query, pages, maxEmails, minScore }
+ *   GET  /jobs           every job kept, without results
+ *   GET  /jobs/:id       job status
+ *   GET  /jobs/:id/result  the scraper's result once finished; 202 with the status until then
+ *   DELETE /jobs/:id     cancel a job that has not started; 409 once it is running or finished
+ *   GET  /health         queue counts
+ * Any submission may add webhook, a URL the finished job and its result are POSTed to; it is never reported back.
+ * @param {Object} options - Configuration options
+ * @param {number} options.concurrency - Jobs running at once, and pages open at once per browser pool (default: 2)
+ * @param {number} options.maxJobs - Jobs kept for polling, see createJobQueue (default: 1000)
+ * @param {Object} options.network - Policy from createNetworkPolicy shared by all jobs; one without proxies is created when omitted (default: null)
+ * @param {Object} options.scraperOptions - Options the server applies to every job, such as artifacts and sessionStore (default: {})
+ * @param {number} options.maxBodyBytes - Largest request body accepted (default: 1 MB)
+ * @param {number} options.webhookTimeout - Timeout per webhook delivery in milliseconds (default: 10000)
+ * @param {number} options.webhookRetries - Extra delivery attempts after a failed webhook (default: 2)
+ * @returns {Object} - { server, queue, listen(port, host), close() }; close stops the queue and the browsers
+ */
+function createApiServer(options = {}) {
+  const config = {
+    concurrency: 2,
+    maxJobs: 1000,
+    network: null,
+    scraperOptions: {},
+    maxBodyBytes: 1024 * 1024,
+    webhookTimeout: 10000,
+    webhookRetries: 2,
+    ...options
+  };
+
+  // Browsers launch on the first job that needs them; email searches use the stealth browser
+  const shared = {
+    pool: createBrowserPool({ maxPages: config.concurrency }),
+    stealthPool: createBrowserPool({ browserType: stealthChromium, maxPages: config.concurrency }),
+    network: config.network || createNetworkPolicy(),
+    scraperOptions: config.scraperOptions
+  };
+
+  const queue = createJobQueue({
+    concurrency: config.concurrency,
+    maxJobs: config.maxJobs,
+    onFinish: async (job, hidden) => {
+      console.log(`Job ${job.id} (${job.type}) ${job.status}`);
+      if (hidden.webhook) await deliverWebhook(hidden.webhook, job, config);
+    }
+  });
+
+  const submitJob = async (req, res, type) => {
+    const jobType = jobTypes[type];
+    if (!jobType) return sendError(res, 404, 'not_found', `Unknown job type: ${type} (expected ${Object.keys(jobTypes).join(', ')})`);
+
+    const body = await readJsonBody(req, config.maxBodyBytes);
+    const problem = validateSubmission(jobType, type, body);
+    if (problem) return sendError(res, 400, 'bad_request', problem);
+
+    // The webhook stays private to the queue: job listings would otherwise show it to every client
+    const { webhook, ...params } = body;
+    let job;
+    try {
+      job = queue.submit(type, params, () => jobType.run(params, shared), { webhook });
+    } catch (error) {
+      return sendError(res, 503, 'unavailable', error.message);
+    }
+
+    console.log(`Job ${job.id} (${type}) queued`);
+    return sendJson(res, 202, job, { location: `/jobs/${job.id}` });
+  };
+
+  const route = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const parts = pathname.split('/').filter(Boolean);
+
+    if (req.method === 'POST' && parts.length === 2 && parts[0] === 'jobs') {
+      return submitJob(req, res, parts[1]);
+    }
+    if (req.method === 'DELETE' && parts.length === 2 && parts[0] === 'jobs') {
+      const job = queue.get(parts[1]);
+      if (!job) return sendError(res, 404, 'not_found', `No job ${parts[1]}`);
+      const cancelled = queue.cancel(job.id);
+      if (!cancelled) return sendError(res, 409, 'conflict', `Job ${job.id} is ${job.status} and can no longer be cancelled`);
+      console.log(`Job ${job.id} (${job.type}) cancelled`);
+      return sendJson(res, 200, cancelled);
+    }
+    if (req.method !== 'GET') return sendError(res, 405, 'method_not_allowed', `${req.method} is not supported on ${pathname}`);
+
+    if (pathname === '/health') return sendJson(res, 200, { status: 'ok', ...queue.stats() });
+    if (pathname === '/jobs') return sendJson(res, 200, { jobs: queue.list() });
+
+    if (parts[0] === 'jobs' && (parts.length === 2 || (parts.length === 3 && parts[2] === 'result'))) {
+      const job = queue.get(parts[1], parts.length === 3);
+      if (!job) return sendError(res, 404, 'not_found', `No job ${parts[1]}`);
+      if (parts.length === 2) return sendJson(res, 200, job);
+
+      // Not finished yet: report the status, so clients can keep polling the same URL
+      if (!job.finishedAt) return sendJson(res, 202, job);
+      return sendJson(res, 200, job.result);
+    }
+
+    return sendError(res, 404, 'not_found', `No route for ${pathname}`);
+  };
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch((error) => {
+      if (res.headersSent) return res.end();
+      sendError(res, error.statusCode || 500, error.code || 'internal', error.message);
+    });
+  });
+
+  const listen = (port, host) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server.address());
+    });
+  });
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await queue.close();
+    await Promise.all([shared.pool.close(), shared.stealthPool.close()]);
+  };
+
+  return { server, queue, listen, close };
+}
+
+// Command-line entry point
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', short: 'p', default: '3000' },
+      host: { type: 'string', default: '127.0.0.1' },
+      concurrency: { type: 'string', short: 'c', default: '2' },
+      'max-jobs': { type: 'string', default: '1000' },
+      proxies: { type: 'string' },
+      'sessions-dir': { type: 'string' },
+      artifacts: { type: 'string', default: 'off' },
+      'artifacts-dir': { type: 'string', default: 'artifacts' },
+      quiet: { type: 'boolean', short: 'q', default: false }
+    }
+  });
+
+  if (!artifactModes.includes(values.artifacts)) {
+    console.log('Usage: node api_server.js [--port 3000] [--host 127.0.0.1] [--concurrency 2] [--max-jobs 1000]');
+    console.log('         [--proxies proxies.txt] [--sessions-dir sessions] [--artifacts off|on-failure|always]');
+    console.log('         [--artifacts-dir artifacts] [--quiet]');
+    process.exit(1);
+  }
+
+  const api = createApiServer({
+    concurrency: Math.max(1, parseInt(values.concurrency, 10) || 1),
+    maxJobs: Math.max(1, parseInt(values['max-jobs'], 10) || 1000),
+    network: createNetworkPolicy({ proxies: values.proxies ? readProxyList(values.proxies) : [] }),
+    scraperOptions: {
+      artifacts: { mode: values.artifacts, dir: values['artifacts-dir'] },
+      sessionStore: values['sessions-dir'] ? createSessionStore({ dir: values['sessions-dir'] }) : null
+    }
+  });
+
+  const address = await api.listen(parseInt(values.port, 10) || 3000, values.host);
+  console.log(`🌐 Scraper API listening on http://${address.address}:${address.port}`);
+
+  // The scrapers report progress on stdout; quiet keeps only warnings and errors
+  if (values.quiet) console.log = () => {};
+
+  const shutdown = async () => {
+    console.error('Shutting down: waiting for running jobs');
+    await api.close();
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { createApiServer, jobTypes };
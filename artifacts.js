@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+
+const artifactModes = ['off', 'on-failure', 'always'];
+
+/**
+ * Debug artifact settings shared by every scraper
+ * @typedef {Object} ArtifactSettings
+ * @property {string} mode - 'off', 'on-failure' or 'always'
+ * @property {string} dir - Directory the artifacts are written to
+ * @property {boolean} screenshot - Capture a full-page screenshot
+ * @property {boolean} html - Capture the page HTML
+ * @property {boolean} trace - Record a Playwright trace (open with `npx playwright show-trace`)
+ * @property {boolean} har - Record a HAR of the page's network traffic
+ */
+
+/**
+ * Fill in artifact settings from the scraper's artifacts option
+ * @param {string|Object} artifacts - A mode, or { mode, dir, screenshot, html, trace, har } (default: 'off')
+ * @returns {ArtifactSettings}
+ * @throws {TypeError} - When the mode is unknown
+ */
+function resolveArtifactSettings(artifacts = 'off') {
+  const settings = {
+    mode: 'off',
+    dir: 'artifacts',
+    screenshot: true,
+    html: true,
+    trace: false,
+    har: false,
+    ...(typeof artifacts === 'string' ? { mode: artifacts } : artifacts)
+  };
+
+  if (!artifactModes.includes(settings.mode)) {
+    throw new TypeError(`Unknown artifacts mode "${settings.mode}", expected one of ${artifactModes.join(', ')}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Create a recorder that captures debug artifacts for one scrape
+ * Traces and HARs are recorded from the start on a context of their own, since they cover the whole context;
+ * in on-failure mode they are discarded when the scrape succeeds.
+ * @param {string|Object} artifacts - Artifacts option of the scraper, see resolveArtifactSettings
+ * @param {string} label - What is being scraped, used in file names (e.g. a domain or URL)
+ * @returns {Object} - { contextOptions, dedicatedContext, start, finish, finishResponse }
+ */
+function createArtifactRecorder(artifacts, label) {
+  const settings = resolveArtifactSettings(artifacts);
+  const enabled = settings.mode !== 'off';
+  const recordTrace = enabled && settings.trace;
+  const recordHar = enabled && settings.har;
+
+  // Unique per scrape so repeated runs and concurrent rows never overwrite each other
+  const slug = String(label).replace(/^https?:\/\//i, '').replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 80);
+  const base = path.join(settings.dir, `${slug || 'page'}_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`);
+  const harPath = `${base}.har`;
+  let tracing = false;
+
+  if (recordHar) fs.mkdirSync(settings.dir, { recursive: true });
+
+  return {
+    // Merged into the scraper's context options
+    contextOptions: recordHar ? { recordHar: { path: harPath, content: 'embed' } } : {},
+
+    // Whether the page needs a context that is not shared with other pages
+    dedicatedContext: recordTrace || recordHar,
+
+    /**
+     * Start recording on a freshly opened page
+     * @param {Object} page - Playwright page
+     */
+    async start(page) {
+      if (!recordTrace) return;
+      try {
+        await page.context().tracing.start({ screenshots: true, snapshots: true });
+        tracing = true;
+      } catch (e) {
+        console.error(`Couldn't start trace for ${label}:`, e.message);
+      }
+    },
+
+    /**
+     * Capture the artifacts the settings ask for, then close the page with the given function
+     * @param {Object} page - Playwright page
+     * @param {boolean} failed - Whether the scrape failed
+     * @param {function(): Promise<void>} close - Closes the page (and its context)
+     * @returns {Promise<Object|null>} - Paths by kind ({ screenshot, html, trace, har }), or null when nothing was kept
+     */
+    async finish(page, failed, close) {
+      const keep = enabled && (settings.mode === 'always' || failed);
+      const paths = {};
+
+      try {
+        if (keep) fs.mkdirSync(settings.dir, { recursive: true });
+
+        if (keep && settings.screenshot) {
+          try {
+            await page.screenshot({ path: `${base}.png`, fullPage: true });
+            paths.screenshot = `${base}.png`;
+          } catch (e) {
+            // The page may have crashed or closed along with its browser
+            console.error(`Couldn't take screenshot for ${label}:`, e.message);
+          }
+        }
+
+        if (keep && settings.html) {
+          try {
+            fs.writeFileSync(`${base}.html`, await page.content());
+            paths.html = `${base}.html`;
+          } catch (e) {
+            console.error(`Couldn't save HTML for ${label}:`, e.message);
+          }
+        }
+
+        if (tracing) {
+          try {
+            await page.context().tracing.stop(keep ? { path: `${base}.zip` } : {});
+            if (keep) paths.trace = `${base}.zip`;
+          } catch (e) {
+            console.error(`Couldn't save trace for ${label}:`, e.message);
+          }
+        }
+      } finally {
+        // The HAR is only written once the context closes
+        await close();
+      }
+
+      if (recordHar && fs.existsSync(harPath)) {
+        if (keep) paths.har = harPath;
+        else fs.unlinkSync(harPath);
+      }
+
+      return Object.keys(paths).length ? paths : null;
+    },
+
+    /**
+     * Capture the last response of a scrape made over plain HTTP, which has no page to screenshot or trace
+     * @param {boolean} failed - Whether the scrape failed
+     * @param {Object|null} response - { url, status, html } as reported by fetchDocument's onResponse
+     * @returns {Object|null} - Paths by kind ({ response, html }), or null when nothing was kept
+     */
+    finishResponse(failed, response) {
+      const keep = enabled && Boolean(response) && (settings.mode === 'always' || failed);
+      if (!keep) return null;
+
+      const paths = {};
+      try {
+        fs.mkdirSync(settings.dir, { recursive: true });
+        fs.writeFileSync(`${base}.response.json`, JSON.stringify({ url: response.url, status: response.status }, null, 2) + '\n');
+        paths.response = `${base}.response.json`;
+        if (settings.html && response.html) {
+          fs.writeFileSync(`${base}.html`, response.html);
+          paths.html = `${base}.html`;
+        }
+      } catch (e) {
+        console.error(`Couldn't save the response for ${label}:`, e.message);
+      }
+
+      return Object.keys(paths).length ? paths : null;
+    }
+  };
+}
+
+module.exports = { createArtifactRecorder, resolveArtifactSettings, artifactModes };
@@ -0,0 +1,356 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { parseArgs } = require('util');
+const { extractSocialLinks, fetchModes } = require('./social_link_extractor');
+const { scrapeFacebookProfile } = require('./facebook_scraper');
+const { defaultPlatforms } = require('./social_platforms');
+const { createBrowserPool } = require('./browser_pool');
+const { mapWithConcurrency } = require('./concurrency');
+const { parseCsv, parseCsvRecords, formatCsvRow } = require('./csv');
+const { createSelectorStats, writeDriftReport } = require('./selector_profiles');
+const { artifactModes } = require('./artifacts');
+const { createNetworkPolicy, readProxyList } = require('./network_policy');
+const { createSessionStore } = require('./session_store');
+const { createResultStore, parseDuration } = require('./result_store');
+
+// Column names tried, in order, when the input column is not given
+const inputColumns = ['url', 'domain', 'website', 'facebook', 'facebookUrl'];
+
+// Fixed CSV layout so social and Facebook rows can share one output file
+const csvColumns = [
+  'input',
+  'mode',
+  'fetchMode',
+  'cachedAt',
+  'error',
+  'message',
+  'deferred',
+  'contact',
+  ...defaultPlatforms.map(platform => platform.name),
+  'emails',
+  'phones',
+  'pageName',
+  'pageLikes',
+  'pageFollowers',
+  'phone',
+  'email',
+  'address',
+  'website',
+  'category',
+  'likesCount',
+  'followersCount',
+  'hours',
+  'priceRange',
+  'rating',
+  'reviewCount',
+  'verified',
+  'created',
+  'profileImage',
+  'coverImage',
+  'artifacts'
+];
+
+const facebookUrlPattern = /^(?:https?:\/\/)?(?:[\w-]+\.)?(?:facebook|fb)\.com\//i;
+
+/**
+ * Detect the input format from a file name or, failing that, from the content
+ * @param {string} file - Input path, or '-' for stdin
+ * @param {string} text - Input content
+ * @returns {string} - 'jsonl' or 'csv'
+ */
+function detectFormat(file, text) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.jsonl' || extension === '.ndjson') return 'jsonl';
+  if (extension === '.csv' || extension === '.txt') return 'csv';
+  return text.trimStart().startsWith('{') ? 'jsonl' : 'csv';
+}
+
+/**
+ * Read the list of inputs (domains or Facebook URLs) from CSV or JSONL text
+ * CSV without a recognizable header row is treated as one input per line.
+ * @param {string} text - Input content
+ * @param {string} format - 'csv' or 'jsonl'
+ * @param {string} column - Column or field holding the input (default: first of inputColumns present)
+ * @returns {string[]} - Unique, trimmed inputs in file order
+ */
+function readInputs(text, format, column = '') {
+  const candidates = (column ? [column] : inputColumns).map(name => name.toLowerCase());
+  const pick = record => {
+    for (const name of candidates) {
+      const key = Object.keys(record).find(field => field.toLowerCase() === name);
+      if (key && record[key]) return String(record[key]).trim();
+    }
+    return '';
+  };
+
+  let inputs;
+  if (format === 'jsonl') {
+    inputs = text.split(/\r?\n/).filter(line => line.trim()).map(line => pick(JSON.parse(line)));
+  } else {
+    const [firstRow = []] = parseCsv(text);
+    const hasHeader = firstRow.some(cell => candidates.includes(cell.trim().toLowerCase()));
+    inputs = hasHeader
+      ? parseCsvRecords(text).map(pick)
+      : parseCsv(text).map(row => row[0].trim());
+  }
+
+  return [...new Set(inputs.filter(Boolean))];
+}
+
+/**
+ * Collect the inputs already present in an output file, so an interrupted run can resume
+ * @param {string} file - Output path
+ * @param {string} format - 'csv' or 'jsonl'
+ * @returns {Set<string>} - Inputs that already have a result row
+ */
+function readCompletedInputs(file, format) {
+  if (!fs.existsSync(file)) return new Set();
+
+  const text = fs.readFileSync(file, 'utf8');
+  if (format === 'jsonl') {
+    const done = new Set();
+    for (const line of text.split(/\r?\n/)) {
+      try {
+        if (line.trim()) done.add(JSON.parse(line).input);
+      } catch (e) {
+        // A line cut off by the interruption; that input is simply run again
+      }
+    }
+    return done;
+  }
+
+  return new Set(parseCsvRecords(text).map(record => record.input));
+}
+
+/**
+ * Remove the rows of deferred (blocked) inputs from an output file, so a resumed run retries them
+ * @param {string} file - Output path
+ * @param {string} format - 'csv' or 'jsonl'
+ * @returns {number} - Number of rows removed
+ */
+function removeDeferredRows(file, format) {
+  if (!fs.existsSync(file)) return 0;
+
+  const text = fs.readFileSync(file, 'utf8');
+  let removed = 0;
+  let kept;
+
+  if (format === 'jsonl') {
+    kept = text.split(/\r?\n/).filter(line => {
+      try {
+        if (line.trim() && JSON.parse(line).deferred) {
+          removed++;
+          return false;
+        }
+      } catch (e) {
+        // A line cut off by the interruption; readCompletedInputs ignores it too
+      }
+      return true;
+    }).join('\n');
+  } else {
+    const [header = [], ...rows] = parseCsv(text);
+    const deferredIndex = header.indexOf('deferred');
+    if (deferredIndex === -1) return 0;
+
+    const keptRows = rows.filter(row => {
+      if (row[deferredIndex] !== 'true') return true;
+      removed++;
+      return false;
+    });
+    kept = [header, ...keptRows].map(formatCsvRow).join('');
+  }
+
+  if (removed) fs.writeFileSync(file, kept);
+  return removed;
+}
+
+/**
+ * Flatten a scraper result into the fixed CSV columns
+ * @param {Object} row - Output row ({ input, mode, ...result })
+ * @returns {Array} - Values in csvColumns order
+ */
+function toCsvValues(row) {
+  return csvColumns.map(column => {
+    const value = row[column];
+    if (Array.isArray(value)) return value.map(entry => (entry && entry.value) || entry).join('; ');
+    if (value && typeof value === 'object') return Object.values(value).join('; ');
+    return value;
+  });
+}
+
+/**
+ * Run one input through the scraper for its mode, never throwing
+ * @param {string} input - Domain or Facebook URL
+ * @param {string} mode - 'social', 'facebook' or 'auto'
+ * @param {Object} options - Options passed to the scraper (pool, crawl, ...)
+ * @param {Object} store - Store from createResultStore; fresh results are served from it and new ones saved (default: null)
+ * @returns {Promise<Object>} - Output row ({ input, mode, ...result })
+ */
+async function processInput(input, mode, options, store = null) {
+  const resolvedMode = mode === 'auto'
+    ? (facebookUrlPattern.test(input) ? 'facebook' : 'social')
+    : mode;
+  const scrape = () => (resolvedMode === 'facebook'
+    ? scrapeFacebookProfile(input, options)
+    : extractSocialLinks(input, options));
+
+  try {
+    const result = store ? await store.cached(resolvedMode, input, scrape) : await scrape();
+    return { input, mode: resolvedMode, ...result };
+  } catch (error) {
+    // Scrapers return their own errors; this only catches failures such as a closed pool
+    return { input, mode: resolvedMode, error: 'unknown', message: error.message };
+  }
+}
+
+/**
+ * Run a batch of inputs with bounded concurrency, streaming one row per input as each completes
+ * @param {string[]} inputs - Domains or Facebook URLs
+ * @param {Object} options - Configuration options
+ * @param {string} options.output - Output file path; .csv writes CSV, anything else JSONL
+ * @param {string} options.mode - 'social', 'facebook' or 'auto' to pick by URL (default: 'auto')
+ * @param {number} options.concurrency - Maximum number of inputs scraped at once (default: 4)
+ * @param {boolean} options.resume - Skip inputs that already have a row in the output file; deferred rows are removed and run again (default: false)
+ * @param {Object} options.scraperOptions - Extra options passed to the scrapers (default: {})
+ * @param {string} options.driftReport - Write a selector drift report to this JSON file, compared with the run before (default: none)
+ * @param {Object} options.network - Policy from createNetworkPolicy; one without proxies is created for the run when omitted (default: null)
+ * @param {Object} options.store - Store from createResultStore; inputs with a fresh stored result are not scraped again (default: null)
+ * @returns {Promise<Object>} - { total, skipped, succeeded, failed, deferred, cached }, plus drifted (fields whose selectors stopped
+ *   matching) with driftReport; deferred counts inputs the sites blocked, which a later run with resume retries
+ */
+async function runBatch(inputs, options) {
+  const config = {
+    mode: 'auto',
+    concurrency: 4,
+    resume: false,
+    scraperOptions: {},
+    driftReport: '',
+    network: null,
+    store: null,
+    ...options
+  };
+  const format = path.extname(config.output).toLowerCase() === '.csv' ? 'csv' : 'jsonl';
+
+  const retried = config.resume ? removeDeferredRows(config.output, format) : 0;
+  const completed = config.resume ? readCompletedInputs(config.output, format) : new Set();
+  const pending = inputs.filter(input => !completed.has(input));
+  const summary = { total: inputs.length, skipped: inputs.length - pending.length, succeeded: 0, failed: 0, deferred: 0, cached: 0 };
+
+  console.log(`Batch: ${pending.length} to run, ${summary.skipped} already done${retried ? `, ${retried} deferred retried` : ''}`);
+  if (!pending.length) return summary;
+
+  const appending = config.resume && fs.existsSync(config.output) && fs.statSync(config.output).size > 0;
+  const stream = fs.createWriteStream(config.output, { flags: appending ? 'a' : 'w' });
+  const write = async (line) => {
+    if (!stream.write(line)) await once(stream, 'drain');
+  };
+
+  if (format === 'csv' && !appending) await write(formatCsvRow(csvColumns));
+
+  // An interrupted run can leave a partial last line; start appending on a fresh one
+  if (appending && !fs.readFileSync(config.output, 'utf8').endsWith('\n')) await write('\n');
+
+  const pool = createBrowserPool({ maxPages: config.concurrency });
+  const selectorStats = createSelectorStats();
+  const network = config.network || createNetworkPolicy();
+  let finished = 0;
+
+  try {
+    await mapWithConcurrency(pending, config.concurrency, async (input) => {
+      const row = await processInput(input, config.mode, { ...config.scraperOptions, pool, selectorStats, network }, config.store);
+
+      await write(format === 'csv' ? formatCsvRow(toCsvValues(row)) : JSON.stringify(row) + '\n');
+
+      finished++;
+      if (row.deferred) {
+        summary.deferred++;
+        console.log(`[${finished}/${pending.length}] ${input}: deferred (${row.error})`);
+      } else if (row.error) {
+        summary.failed++;
+        console.log(`[${finished}/${pending.length}] ${input}: error (${row.error})${row.artifacts ? ', artifacts saved' : ''}`);
+      } else {
+        summary.succeeded++;
+        if (row.cachedAt) summary.cached++;
+        console.log(`[${finished}/${pending.length}] ${input}: ${row.cachedAt ? `cached (${row.cachedAt})` : 'done'}`);
+      }
+    });
+  } finally {
+    await pool.close();
+    stream.end();
+    await once(stream, 'finish');
+  }
+
+  if (config.driftReport) {
+    const report = writeDriftReport(config.driftReport, selectorStats);
+    summary.drifted = report.filter(entry => entry.drifted).map(entry => `${entry.profile}.${entry.field}`);
+  }
+
+  return summary;
+}
+
+// Command-line entry point
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      input: { type: 'string', short: 'i', default: '-' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string' },
+      column: { type: 'string', default: '' },
+      mode: { type: 'string', default: 'auto' },
+      concurrency: { type: 'string', short: 'c', default: '4' },
+      resume: { type: 'boolean', default: false },
+      crawl: { type: 'boolean', default: false },
+      'drift-report': { type: 'string', default: '' },
+      artifacts: { type: 'string', default: 'off' },
+      'artifacts-dir': { type: 'string', default: 'artifacts' },
+      proxies: { type: 'string' },
+      'sessions-dir': { type: 'string' },
+      'fetch-mode': { type: 'string', default: 'auto' },
+      'cache-dir': { type: 'string' },
+      ttl: { type: 'string', default: '24h' }
+    }
+  });
+
+  if (!values.output || !['auto', 'social', 'facebook'].includes(values.mode) || !artifactModes.includes(values.artifacts) ||
+      !fetchModes.includes(values['fetch-mode'])) {
+    console.log('Usage: node batch.js --output <results.csv|results.jsonl> [--input <domains.csv|domains.jsonl|->]');
+    console.log('         [--format csv|jsonl] [--column url] [--mode auto|social|facebook]');
+    console.log('         [--concurrency 4] [--resume] [--crawl] [--drift-report selector-drift.json]');
+    console.log('         [--artifacts off|on-failure|always] [--artifacts-dir artifacts] [--proxies proxies.txt]');
+    console.log('         [--sessions-dir sessions] [--fetch-mode auto|http|browser] [--cache-dir results] [--ttl 24h]');
+    process.exit(1);
+  }
+
+  const text = fs.readFileSync(values.input === '-' ? 0 : values.input, 'utf8');
+  const inputs = readInputs(text, values.format || detectFormat(values.input, text), values.column);
+
+  const summary = await runBatch(inputs, {
+    output: values.output,
+    mode: values.mode,
+    concurrency: Math.max(1, parseInt(values.concurrency, 10) || 1),
+    resume: values.resume,
+    driftReport: values['drift-report'],
+    network: createNetworkPolicy({ proxies: values.proxies ? readProxyList(values.proxies) : [] }),
+    store: values['cache-dir'] ? createResultStore({ dir: values['cache-dir'], ttl: parseDuration(values.ttl) }) : null,
+    scraperOptions: {
+      crawl: values.crawl,
+      fetchMode: values['fetch-mode'],
+      artifacts: { mode: values.artifacts, dir: values['artifacts-dir'] },
+      sessionStore: values['sessions-dir'] ? createSessionStore({ dir: values['sessions-dir'] }) : null
+    }
+  });
+
+  console.log('\nSummary:');
+  console.log(JSON.stringify(summary, null, 2));
+  if (summary.deferred) {
+    console.log(`\n⚠️ ${summary.deferred} inputs were blocked; run again with --resume later to retry only those`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = { runBatch, readInputs };
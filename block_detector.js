@@ -0,0 +1,156 @@
+const { ScrapeError, ErrorCodes } = require('./scrape_errors');
+const { documentText } = require('./contact_extractor');
+
+// Challenge pages served instead of the content
+const captchaText = /unusual traffic|not a robot|verify (?:that )?you are (?:a )?human|are you a robot|complete the security check|checking your browser before accessing|bots use duckduckgo too/i;
+
+// Widgets of challenge pages; only trusted on short pages, since contact forms embed reCAPTCHA too
+const captchaWidgetSelector = [
+  'iframe[src*="recaptcha"]',
+  'iframe[src*="hcaptcha"]',
+  'iframe[src*="challenges.cloudflare.com"]',
+  '#challenge-form',
+  '#cf-challenge-running',
+  '.g-recaptcha',
+  '.h-captcha'
+].join(', ');
+const interstitialTextLength = 2000;
+
+const loginWallText = /you must log in|log in to continue|log into facebook to|sign in to continue|please log in to (?:see|view|continue)/i;
+const loginPath = /\/(?:login|log-in|signin|sign-in|checkpoint)(?:[/.?]|$)/i;
+
+const consentHosts = /^consent\.(?:google|youtube|yahoo)\.[a-z.]+$/i;
+const consentText = /before you continue to (?:google|youtube)/i;
+
+/**
+ * Decide from page signals whether the site served a block instead of the content
+ * @param {Object} signals - Page state
+ * @param {number} signals.status - HTTP status of the navigation, 0 when unknown
+ * @param {string} signals.url - URL the page ended up on
+ * @param {string} signals.requestedUrl - URL that was requested
+ * @param {string} signals.text - Visible text
+ * @param {boolean} signals.captchaWidget - Whether a captcha or challenge widget is present
+ * @param {boolean} signals.passwordField - Whether a password field is present
+ * @returns {Object|null} - { code, reason } with code one of the block codes in ErrorCodes, or null
+ */
+function classifyBlock(signals) {
+  const { status = 0, url = '', requestedUrl = '', text = '', captchaWidget = false, passwordField = false } = signals;
+
+  if (status === 429) return { code: ErrorCodes.RATE_LIMITED, reason: 'HTTP 429 Too Many Requests' };
+
+  if (captchaText.test(text)) return { code: ErrorCodes.CAPTCHA, reason: 'Captcha page' };
+  if (captchaWidget && text.length < interstitialTextLength) return { code: ErrorCodes.CAPTCHA, reason: 'Captcha challenge widget' };
+
+  let landed = null;
+  try {
+    landed = new URL(url);
+  } catch (e) {
+    // about:blank or a page that never loaded
+  }
+
+  if ((landed && consentHosts.test(landed.hostname)) || consentText.test(text)) {
+    return { code: ErrorCodes.CONSENT, reason: 'Consent interstitial' };
+  }
+
+  // Redirected to a login page the caller did not ask for, or the page itself demands a login
+  const redirectedToLogin = landed && loginPath.test(landed.pathname) && !loginPath.test(requestedUrl);
+  if (redirectedToLogin || (loginWallText.test(text) && (passwordField || text.length < interstitialTextLength))) {
+    return { code: ErrorCodes.LOGIN_WALL, reason: 'Login wall' };
+  }
+
+  return null;
+}
+
+/**
+ * Throw a ScrapeError when the current page is a captcha, login wall, consent interstitial or rate-limit response
+ * @param {Object} page - Playwright page after navigation
+ * @param {Object} options - Configuration options
+ * @param {Object|null} options.response - Response returned by page.goto (default: null)
+ * @param {string} options.url - URL that was requested (default: page URL)
+ * @throws {ScrapeError}
+ */
+async function assertNotBlocked(page, options = {}) {
+  const response = options.response || null;
+  const requestedUrl = options.url || page.url();
+
+  const signals = await page.evaluate((selector) => ({
+    text: document.body ? document.body.innerText : '',
+    captchaWidget: Boolean(document.querySelector(selector)),
+    passwordField: Boolean(document.querySelector('input[type="password"]'))
+  }), captchaWidgetSelector);
+
+  const block = classifyBlock({
+    ...signals,
+    status: response ? response.status() : 0,
+    url: page.url(),
+    requestedUrl
+  });
+
+  if (block) {
+    console.log(`Block detected (${block.code}): ${block.reason}`);
+    throw new ScrapeError(block.code, block.reason, { url: requestedUrl, status: response ? response.status() : null });
+  }
+}
+
+/**
+ * Throw a ScrapeError when a document fetched without a browser is a captcha, login wall, consent interstitial or
+ * rate-limit response
+ * @param {Object} $ - Cheerio document
+ * @param {Object} options - Configuration options
+ * @param {number} options.status - HTTP status of the response (default: 0)
+ * @param {string} options.url - URL the response came from, after redirects
+ * @param {string} options.requestedUrl - URL that was requested (default: url)
+ * @throws {ScrapeError}
+ */
+function assertDocumentNotBlocked($, options = {}) {
+  const { status = 0, url = '', requestedUrl = url } = options;
+
+  const block = classifyBlock({
+    status,
+    url,
+    requestedUrl,
+    text: documentText($),
+    captchaWidget: $(captchaWidgetSelector).length > 0,
+    passwordField: $('input[type="password"]').length > 0
+  });
+
+  if (block) {
+    console.log(`Block detected (${block.code}): ${block.reason}`);
+    throw new ScrapeError(block.code, block.reason, { url: requestedUrl, status: status || null });
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a scrape attempt again after an exponential backoff while it comes back deferred (blocked)
+ * With a network policy every attempt leases a new session, so retries go out through the next proxy and fingerprint.
+ * @param {function(number): Promise<Object>} attempt - Runs one attempt, given its index, and returns the scraper result
+ * @param {Object} options - Configuration options
+ * @param {number} options.retries - Extra attempts after a block (default: 1)
+ * @param {number} options.backoff - Wait before the first retry in milliseconds, doubled on each one (default: 15000)
+ * @param {number} options.maxBackoff - Longest wait between attempts in milliseconds (default: 120000)
+ * @param {string} options.label - What is being scraped, for logging (default: '')
+ * @returns {Promise<Object>} - Result of the last attempt
+ */
+async function retryWhenBlocked(attempt, options = {}) {
+  const config = {
+    retries: 1,
+    backoff: 15000,
+    maxBackoff: 120000,
+    label: '',
+    ...options
+  };
+
+  for (let index = 0; ; index++) {
+    const result = await attempt(index);
+    if (!result || !result.deferred || index >= config.retries) return result;
+
+    // Jitter keeps concurrent rows that were blocked together from retrying in lockstep
+    const delay = Math.min(config.backoff * 2 ** index, config.maxBackoff) * (0.75 + Math.random() * 0.5);
+    console.log(`⚠️ ${config.label || 'Scrape'} blocked (${result.error}); retry ${index + 1}/${config.retries} in ${Math.round(delay / 1000)}s`);
+    await sleep(delay);
+  }
+}
+
+module.exports = { assertNotBlocked, assertDocumentNotBlocked, classifyBlock, retryWhenBlocked };
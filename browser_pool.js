@@ -0,0 +1,294 @@
+const { chromium } = require('playwright');
+
+/**
+ * Create a shared browser pool so batch runs reuse one Chromium instead of launching one per URL
+ * Pages are handed out from shared contexts (one per distinct set of context options), up to a
+ * concurrency limit. Contexts are recycled after a number of pages to keep memory and cookies in
+ * check, and a crashed or disconnected browser is relaunched on the next request.
+ * @param {Object} options - Configuration options
+ * @param {Object} options.browserType - Playwright browser type, e.g. chromium from playwright or playwright-extra (default: chromium)
+ * @param {Object} options.launchOptions - Options passed to browserType.launch (default: { headless: true })
+ * @param {number} options.maxPages - Maximum number of pages open at once (default: 4)
+ * @param {number} options.pagesPerContext - Pages served by a context before it is replaced (default: 50)
+ * @returns {Object} - Pool with acquire, withPage, close and stats
+ */
+function createBrowserPool(options = {}) {
+  const config = {
+    browserType: chromium,
+    launchOptions: { headless: true },
+    maxPages: 4,
+    pagesPerContext: 50,
+    ...options
+  };
+
+  let browser = null;
+  let launching = null;
+  let closed = false;
+  let activePages = 0;
+  let launches = 0;
+  // Context options key -> { context, ready, pagesServed, openPages, retired }
+  const contexts = new Map();
+  const retiredContexts = new Set();
+  const waiters = [];
+
+  const getBrowser = async () => {
+    if (browser && browser.isConnected()) return browser;
+
+    if (!launching) {
+      launching = config.browserType.launch(config.launchOptions).then(instance => {
+        launches++;
+        instance.on('disconnected', () => {
+          // Crash recovery: forget everything tied to the dead browser, relaunch lazily
+          if (browser === instance) {
+            browser = null;
+            contexts.clear();
+            retiredContexts.clear();
+          }
+        });
+        browser = instance;
+        return instance;
+      }).finally(() => {
+        launching = null;
+      });
+    }
+
+    return launching;
+  };
+
+  const waitForSlot = () => {
+    if (closed) return Promise.reject(new Error('Browser pool is closed'));
+    if (activePages < config.maxPages) {
+      activePages++;
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+  };
+
+  const freeSlot = () => {
+    const next = waiters.shift();
+    if (next) {
+      next.resolve();
+    } else {
+      activePages--;
+    }
+  };
+
+  const closeContext = async (entry) => {
+    retiredContexts.delete(entry);
+    try {
+      await entry.context.close();
+    } catch (e) {
+      // Already closed along with a crashed browser
+    }
+  };
+
+  // Stop handing out pages from a shared context; it is closed once its last page is released
+  const retireContext = (key, entry) => {
+    contexts.delete(key);
+    entry.retired = true;
+    retiredContexts.add(entry);
+    if (entry.openPages === 0) entry.ready.then(() => closeContext(entry), () => closeContext(entry));
+  };
+
+  // Reserve a page on the current context for these options, creating or recycling it as needed
+  const getContext = async (contextOptions) => {
+    const key = JSON.stringify(contextOptions);
+    let entry = contexts.get(key);
+
+    if (entry && entry.pagesServed >= config.pagesPerContext) {
+      retireContext(key, entry);
+      entry = null;
+    }
+
+    if (!entry) {
+      // Registered before awaiting so concurrent callers share one context
+      const created = { context: null, ready: null, pagesServed: 0, openPages: 0, retired: false };
+      created.ready = getBrowser()
+        .then(instance => instance.newContext(contextOptions))
+        .then(context => {
+          created.context = context;
+        });
+      created.ready.catch(() => {
+        if (contexts.get(key) === created) contexts.delete(key);
+      });
+      contexts.set(key, created);
+      entry = created;
+    }
+
+    entry.pagesServed++;
+    entry.openPages++;
+    try {
+      await entry.ready;
+    } catch (error) {
+      entry.openPages--;
+      throw error;
+    }
+    return entry;
+  };
+
+  // Give back a page reservation, closing a recycled context once it is empty
+  const releaseContext = async (entry) => {
+    entry.openPages--;
+    if (entry.retired && entry.openPages === 0) await closeContext(entry);
+  };
+
+  return {
+    /**
+     * Get a page from the pool, waiting for a free slot if the pool is at capacity
+     * @param {Object} contextOptions - Playwright context options the page needs (default: {})
+     * @param {Object} acquireOptions - Configuration options
+     * @param {boolean} acquireOptions.dedicated - Open the page in a context of its own, closed on release,
+     *   e.g. for tracing or HAR recording (default: false)
+     * @returns {Promise<Object>} - { page, release } where release closes the page and frees the slot
+     */
+    async acquire(contextOptions = {}, acquireOptions = {}) {
+      await waitForSlot();
+
+      if (acquireOptions.dedicated) {
+        let context = null;
+        try {
+          context = await (await getBrowser()).newContext(contextOptions);
+          const page = await context.newPage();
+          let released = false;
+          const release = async () => {
+            if (released) return;
+            released = true;
+            try {
+              await context.close();
+            } catch (e) {
+              // Already closed along with a crashed browser
+            }
+            freeSlot();
+          };
+          return { page, release };
+        } catch (error) {
+          if (context) await context.close().catch(() => {});
+          freeSlot();
+          throw error;
+        }
+      }
+
+      const openOn = async () => {
+        const entry = await getContext(contextOptions);
+        try {
+          return { entry, page: await entry.context.newPage() };
+        } catch (error) {
+          await releaseContext(entry);
+          throw error;
+        }
+      };
+
+      let entry;
+      let page;
+      try {
+        try {
+          ({ entry, page } = await openOn());
+        } catch (error) {
+          // The browser may have died between launch and use; retry once on a fresh context, retiring the old one
+          // so pages other callers still have open on it keep working until they are released
+          const key = JSON.stringify(contextOptions);
+          const failed = contexts.get(key);
+          if (failed) retireContext(key, failed);
+          if (browser && !browser.isConnected()) browser = null;
+          ({ entry, page } = await openOn());
+        }
+      } catch (error) {
+        freeSlot();
+        throw error;
+      }
+
+      let released = false;
+      const release = async () => {
+        if (released) return;
+        released = true;
+        try {
+          await page.close();
+        } catch (e) {
+          // Page crashed or its browser is gone
+        }
+        await releaseContext(entry);
+        freeSlot();
+      };
+
+      return { page, release };
+    },
+
+    /**
+     * Run a function with a pooled page, releasing it afterwards
+     * @param {function(Object): Promise<*>} fn - Receives the page
+     * @param {Object} contextOptions - Playwright context options the page needs (default: {})
+     * @returns {Promise<*>} - Whatever fn returns
+     */
+    async withPage(fn, contextOptions = {}) {
+      const { page, release } = await this.acquire(contextOptions);
+      try {
+        return await fn(page);
+      } finally {
+        await release();
+      }
+    },
+
+    /**
+     * Close every context and the browser; pending and later acquire calls are rejected
+     */
+    async close() {
+      closed = true;
+      for (const waiter of waiters.splice(0)) {
+        waiter.reject(new Error('Browser pool is closed'));
+      }
+      const instance = browser || (launching && await launching.catch(() => null));
+      browser = null;
+      contexts.clear();
+      retiredContexts.clear();
+      if (instance) await instance.close();
+    },
+
+    /**
+     * Current pool usage, for logging
+     * @returns {Object} - { activePages, queued, contexts, launches }
+     */
+    stats() {
+      return { activePages, queued: waiters.length, contexts: contexts.size + retiredContexts.size, launches };
+    }
+  };
+}
+
+/**
+ * Open a page either from a pool or, when no pool is given, from a dedicated browser
+ * Lets every scraper support both batch runs and standalone calls with the same code path.
+ * @param {Object|null} pool - Pool from createBrowserPool, or null to launch a browser
+ * @param {Object} options - Configuration options
+ * @param {Object} options.browserType - Browser type for the standalone browser (default: chromium)
+ * @param {Object} options.launchOptions - Launch options for the standalone browser (default: {})
+ * @param {Object} options.contextOptions - Playwright context options for the page (default: {})
+ * @param {boolean} options.dedicatedContext - Keep the page's context to itself when using a pool (default: false)
+ * @returns {Promise<Object>} - { page, close } where close releases the page or closes the standalone browser
+ */
+async function openPage(pool, options = {}) {
+  const { browserType = chromium, launchOptions = {}, contextOptions = {}, dedicatedContext = false } = options;
+
+  if (pool) {
+    const { page, release } = await pool.acquire(contextOptions, { dedicated: dedicatedContext });
+    return { page, close: release };
+  }
+
+  const browser = await browserType.launch(launchOptions);
+  try {
+    const context = await browser.newContext(contextOptions);
+    const page = await context.newPage();
+    // Closing the context first flushes recordings such as HARs
+    const close = async () => {
+      try {
+        await context.close();
+      } finally {
+        await browser.close();
+      }
+    };
+    return { page, close };
+  } catch (error) {
+    await browser.close();
+    throw error;
+  }
+}
+
+module.exports = { createBrowserPool, openPage };
@@ -0,0 +1,125 @@
+/**
+ * Consent manager whose dialog can be dismissed by clicking one of its buttons
+ * @typedef {Object} ConsentManager
+ * @property {string} name - Reported in the list of dismissed dialogs
+ * @property {string[]} selectors - Buttons to try in order; the first visible one is clicked
+ * @property {RegExp} [hosts] - Only looked for on pages whose host matches
+ * @property {boolean} [navigates] - Clicking leaves the page, e.g. Google's consent.google.com interstitial
+ */
+
+/** @type {ConsentManager[]} */
+const consentManagers = [
+  {
+    name: 'onetrust',
+    selectors: ['#onetrust-reject-all-handler', '#onetrust-accept-btn-handler']
+  },
+  {
+    name: 'cookiebot',
+    selectors: [
+      '#CybotCookiebotDialogBodyButtonDecline',
+      '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+      '#CybotCookiebotDialogBodyButtonAccept'
+    ]
+  },
+  {
+    name: 'google',
+    selectors: [
+      'form[action*="consent.google"] button[aria-label="Reject all"]',
+      'form[action*="consent.google"] button[aria-label="Accept all"]',
+      'button:has-text("Reject all")',
+      'button:has-text("Accept all")'
+    ],
+    // Only on Google's own consent pages; elsewhere "Accept all" belongs to some other dialog
+    hosts: /(?:^|\.)(?:google|youtube)\.[a-z.]+$/i,
+    navigates: true
+  },
+  {
+    name: 'facebook',
+    selectors: [
+      '[role="dialog"] [aria-label="Decline optional cookies"]',
+      '[role="dialog"] [aria-label="Only allow essential cookies"]',
+      '[role="dialog"] [aria-label="Allow all cookies"]',
+      'button[data-cookiebanner="accept_only_essential_button"]',
+      'button[data-cookiebanner="accept_button"]'
+    ],
+    hosts: /(?:^|\.)facebook\.com$/i
+  },
+  {
+    // The "See more on Facebook" login modal shown to visitors who are not logged in
+    name: 'facebook_login',
+    selectors: ['[role="dialog"] [aria-label="Close"]'],
+    hosts: /(?:^|\.)facebook\.com$/i
+  },
+  {
+    name: 'didomi',
+    selectors: ['#didomi-notice-disagree-button', '#didomi-notice-agree-button']
+  },
+  {
+    name: 'trustarc',
+    selectors: ['#truste-consent-required', '#truste-consent-button']
+  },
+  {
+    name: 'quantcast',
+    selectors: ['.qc-cmp2-summary-buttons button[mode="secondary"]', '.qc-cmp2-summary-buttons button[mode="primary"]']
+  }
+];
+
+/**
+ * Close cookie consent dialogs and login modals that cover the page, in the page and in its frames
+ * Failures are ignored: a dialog that cannot be closed just leaves the page as it was.
+ * @param {Object} page - Playwright page after navigation
+ * @param {Object} options - Configuration options
+ * @param {number} options.timeout - Time allowed per click in milliseconds (default: 3000)
+ * @param {ConsentManager[]} options.managers - Dialogs to look for (default: built-in list)
+ * @returns {Promise<string[]>} - Names of the dialogs that were dismissed
+ */
+async function dismissConsent(page, options = {}) {
+  const config = {
+    timeout: 3000,
+    managers: consentManagers,
+    ...options
+  };
+
+  const dismissed = [];
+
+  for (const manager of config.managers) {
+    let hostname = '';
+    try {
+      hostname = new URL(page.url()).hostname;
+    } catch (e) {
+      // about:blank
+    }
+    if (manager.hosts && !manager.hosts.test(hostname)) continue;
+
+    let clicked = false;
+    for (const frame of page.frames()) {
+      for (const selector of manager.selectors) {
+        try {
+          const button = frame.locator(selector).first();
+          if (!await button.isVisible()) continue;
+
+          if (manager.navigates) {
+            await Promise.all([
+              page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: config.timeout }).catch(() => {}),
+              button.click({ timeout: config.timeout })
+            ]);
+          } else {
+            await button.click({ timeout: config.timeout });
+          }
+          clicked = true;
+          break;
+        } catch (e) {
+          // Detached frame, covered button or a dialog that closed by itself
+        }
+      }
+      if (clicked) break;
+    }
+
+    if (clicked) dismissed.push(manager.name);
+  }
+
+  if (dismissed.length) console.log(`Dismissed ${dismissed.join(', ')} dialog(s)`);
+  return dismissed;
+}
+
+module.exports = { dismissConsent, consentManagers };
@@ -0,0 +1,276 @@
+// Calling code, national trunk prefix and national number lengths for supported default countries
+const countryPhoneRules = {
+  US: { code: '1', trunk: '1', lengths: [10] },
+  CA: { code: '1', trunk: '1', lengths: [10] },
+  GB: { code: '44', trunk: '0', lengths: [9, 10] },
+  IE: { code: '353', trunk: '0', lengths: [7, 8, 9] },
+  AU: { code: '61', trunk: '0', lengths: [9] },
+  NZ: { code: '64', trunk: '0', lengths: [8, 9, 10] },
+  DE: { code: '49', trunk: '0', lengths: [6, 7, 8, 9, 10, 11] },
+  FR: { code: '33', trunk: '0', lengths: [9] },
+  ES: { code: '34', trunk: '', lengths: [9] },
+  IT: { code: '39', trunk: '', lengths: [6, 7, 8, 9, 10, 11] },
+  NL: { code: '31', trunk: '0', lengths: [9] },
+  IN: { code: '91', trunk: '0', lengths: [10] },
+  PK: { code: '92', trunk: '0', lengths: [9, 10] },
+  AE: { code: '971', trunk: '0', lengths: [8, 9] },
+  ZA: { code: '27', trunk: '0', lengths: [9] },
+  MX: { code: '52', trunk: '', lengths: [10] },
+  BR: { code: '55', trunk: '0', lengths: [10, 11] }
+};
+
+const emailRegex = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// Phone-like runs of digits and separators, optionally international
+const phoneRegex = /(?:\+|00)?\(?\d[\d\s().-]{5,}\d/g;
+
+// Matches that look like emails but are asset names such as logo@2x.png
+const assetExtensions = /\.(?:png|jpe?g|gif|svg|webp|avif|ico|css|js)$/i;
+
+const namedEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', commat: '@', period: '.', hyphen: '-' };
+
+/**
+ * Decode numeric and common named HTML entities
+ * Numeric entities outside the Unicode range, and lone surrogates, are left as written.
+ * @param {string} text - Text that may contain entities such as &#64; or &commat;
+ * @returns {string} - Decoded text
+ */
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, body) => {
+    if (body[0] === '#') {
+      const codePoint = body[1].toLowerCase() === 'x' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+      const isSurrogate = codePoint >= 0xD800 && codePoint <= 0xDFFF;
+      return codePoint <= 0x10FFFF && !isSurrogate ? String.fromCodePoint(codePoint) : entity;
+    }
+    return namedEntities[body.toLowerCase()] || entity;
+  });
+}
+
+/**
+ * Percent-decode a link target, keeping it as written when it is not valid percent-encoding (e.g. "50%off")
+ * @param {string} value - Encoded value
+ * @returns {string} - Decoded value
+ */
+function decodeLinkTarget(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+/**
+ * Decode a Cloudflare email-protection string (data-cfemail or /cdn-cgi/l/email-protection#...)
+ * @param {string} encoded - Hex string whose first byte is the XOR key
+ * @returns {string} - Decoded email, or an empty string if the input is malformed
+ */
+function decodeCfEmail(encoded) {
+  if (!/^[0-9a-f]{4,}$/i.test(encoded) || encoded.length % 2 !== 0) return '';
+
+  const key = parseInt(encoded.slice(0, 2), 16);
+  let email = '';
+  for (let i = 2; i < encoded.length; i += 2) {
+    email += String.fromCharCode(parseInt(encoded.slice(i, i + 2), 16) ^ key);
+  }
+  return email;
+}
+
+/**
+ * Undo common human-readable email obfuscation such as "info [at] acme (dot) com"
+ * @param {string} text - Visible text
+ * @returns {string} - Text with obfuscated separators replaced by "@" and "."
+ */
+function deobfuscateText(text) {
+  return decodeHtmlEntities(text)
+    .replace(/\s*[[({<]\s*(?:at|@)\s*[\])}>]\s*/gi, '@')
+    .replace(/\s*[[({<]\s*(?:dot|\.)\s*[\])}>]\s*/gi, '.')
+    .replace(/(\w)\s+at\s+(\w[\w-]*)\s+dot\s+([a-z]{2,})\b/gi, '$1@$2.$3');
+}
+
+/**
+ * Find email addresses in text, ignoring asset names such as logo@2x.png
+ * @param {string} text - Text to search
+ * @returns {string[]} - Unique lowercase emails in order of appearance
+ */
+function extractEmails(text) {
+  const found = deobfuscateText(text).match(emailRegex) || [];
+  const emails = found
+    .map(email => email.replace(/^[._%+-]+|[._-]+$/g, '').toLowerCase())
+    .filter(email => !assetExtensions.test(email));
+  return [...new Set(emails)];
+}
+
+/**
+ * Normalize a phone number to E.164
+ * @param {string} raw - Phone number as written (may include spaces, brackets, extensions)
+ * @param {string} defaultCountry - ISO 3166 alpha-2 country used for national numbers (default: none)
+ * @returns {string|null} - E.164 number such as "+13125550100", or null if it cannot be normalized
+ */
+function normalizePhone(raw, defaultCountry = '') {
+  // Drop extensions such as "ext. 12" or "x12"
+  const number = raw.replace(/\s*(?:ext\.?|extension|x|#)\s*\d+\s*$/i, '').trim();
+  let digits = number.replace(/[^\d]/g, '');
+
+  if (number.startsWith('+') || digits.startsWith('00')) {
+    digits = digits.replace(/^00/, '');
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+
+  const rules = countryPhoneRules[defaultCountry.toUpperCase()];
+  if (!rules) return null;
+
+  if (rules.trunk && digits.startsWith(rules.trunk) && !rules.lengths.includes(digits.length)) {
+    digits = digits.slice(rules.trunk.length);
+  }
+
+  return rules.lengths.includes(digits.length) ? `+${rules.code}${digits}` : null;
+}
+
+/**
+ * Find phone numbers in visible text
+ * Only numbers that normalize to E.164 are kept, which filters out dates, prices and zip codes.
+ * @param {string} text - Text to search
+ * @param {string} defaultCountry - ISO 3166 alpha-2 country used for national numbers (default: none)
+ * @returns {Array<{value: string, raw: string}>} - Unique numbers in order of appearance
+ */
+function extractPhones(text, defaultCountry = '') {
+  const phones = new Map();
+
+  for (const match of text.match(phoneRegex) || []) {
+    const raw = match.trim();
+    const digitCount = raw.replace(/[^\d]/g, '').length;
+
+    // Year ranges and long reference numbers are not phone numbers
+    if (digitCount < 7 || /^\d{4}\s*[-–]\s*\d{4}$/.test(raw)) continue;
+
+    const value = normalizePhone(raw, defaultCountry);
+    if (value && !phones.has(value)) phones.set(value, { value, raw });
+  }
+
+  return [...phones.values()];
+}
+
+/**
+ * Turn the raw contact material of a page into emails and phone numbers with their source
+ * @param {Object} material - Raw page material
+ * @param {string[]} material.mailtoLinks - href values of mailto: links
+ * @param {string[]} material.telLinks - href values of tel: links
+ * @param {string[]} material.cfEmails - Cloudflare-encoded email strings
+ * @param {string} material.text - Visible page text
+ * @param {Object} options - Configuration options
+ * @param {string} options.defaultCountry - ISO 3166 alpha-2 country used for national numbers (default: none)
+ * @returns {Object} - { emails: [{ value, source }], phones: [{ value, raw, source }] }
+ */
+function extractContacts(material, options = {}) {
+  const defaultCountry = options.defaultCountry || '';
+  const emails = [];
+  const phones = [];
+
+  for (const href of material.mailtoLinks) {
+    const address = decodeLinkTarget(href.replace(/^mailto:/i, '').split('?')[0]);
+    for (const value of extractEmails(address)) emails.push({ value, source: 'mailto' });
+  }
+
+  for (const encoded of material.cfEmails) {
+    for (const value of extractEmails(decodeCfEmail(encoded))) emails.push({ value, source: 'cfemail' });
+  }
+
+  for (const value of extractEmails(material.text)) {
+    emails.push({ value, source: 'text' });
+  }
+
+  for (const href of material.telLinks) {
+    const raw = decodeLinkTarget(href.replace(/^tel:/i, '')).trim();
+    const value = normalizePhone(raw, defaultCountry);
+    // tel: links are explicit phone numbers, so keep them even when they cannot be normalized
+    if (raw) phones.push({ value: value || raw, raw, source: 'tel' });
+  }
+
+  for (const { value, raw } of extractPhones(material.text, defaultCountry)) {
+    phones.push({ value, raw, source: 'text' });
+  }
+
+  return { emails, phones };
+}
+
+// Elements whose text is never shown, and elements that start a new line in rendered text
+const hiddenElements = 'head, script, style, noscript, template, svg, [hidden]';
+const blockElements = 'address, article, aside, blockquote, dd, div, dl, dt, fieldset, figcaption, figure, footer, form, ' +
+  'h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, p, pre, section, table, td, th, tr, ul';
+
+/**
+ * Approximate the visible text of a parsed document, with line breaks between blocks like innerText
+ * @param {Object} $ - Cheerio document
+ * @returns {string} - Visible text
+ */
+function documentText($) {
+  // Source whitespace collapses to a space, so line breaks are marked with a character that survives that
+  const lineBreak = '\uE000';
+  const body = $('body').clone();
+  body.find(hiddenElements).remove();
+  body.find('br').replaceWith(lineBreak);
+  body.find(blockElements).each((_, element) => {
+    $(element).prepend(lineBreak).append(lineBreak);
+  });
+
+  return body.text()
+    .replace(/\s+/g, ' ')
+    .replace(/ ?\uE000[\uE000 ]*/g, '\n')
+    .trim();
+}
+
+/**
+ * Collect emails and phone numbers from a parsed document
+ * @param {Object} $ - Cheerio document
+ * @param {Object} options - Configuration options, see extractContacts
+ * @returns {Object} - { emails: [{ value, source }], phones: [{ value, raw, source }] }
+ */
+function collectDocumentContacts($, options = {}) {
+  const hrefs = (selector) => $(selector).toArray().map(a => $(a).attr('href') || '');
+  const cfLinks = hrefs('a[href*="/cdn-cgi/l/email-protection#"]').map(href => href.split('#')[1] || '');
+  const cfSpans = $('[data-cfemail]').toArray().map(element => $(element).attr('data-cfemail'));
+
+  return extractContacts({
+    mailtoLinks: hrefs('a[href^="mailto:" i]'),
+    telLinks: hrefs('a[href^="tel:" i]'),
+    cfEmails: [...cfSpans, ...cfLinks],
+    text: documentText($)
+  }, options);
+}
+
+/**
+ * Collect emails and phone numbers from the current page
+ * @param {Object} page - Playwright page
+ * @param {Object} options - Configuration options, see extractContacts
+ * @returns {Promise<Object>} - { emails: [{ value, source }], phones: [{ value, raw, source }] }
+ */
+async function collectPageContacts(page, options = {}) {
+  const material = await page.evaluate(() => {
+    const hrefs = (selector) => [...document.querySelectorAll(selector)].map(a => a.getAttribute('href') || '');
+    const cfLinks = hrefs('a[href*="/cdn-cgi/l/email-protection#"]').map(href => href.split('#')[1] || '');
+    const cfSpans = [...document.querySelectorAll('[data-cfemail]')].map(el => el.getAttribute('data-cfemail'));
+
+    return {
+      mailtoLinks: hrefs('a[href^="mailto:" i]'),
+      telLinks: hrefs('a[href^="tel:" i]'),
+      cfEmails: [...cfSpans, ...cfLinks],
+      text: document.body ? document.body.innerText : ''
+    };
+  });
+
+  return extractContacts(material, options);
+}
+
+module.exports = {
+  emailRegex,
+  collectPageContacts,
+  collectDocumentContacts,
+  documentText,
+  extractContacts,
+  extractEmails,
+  extractPhones,
+  normalizePhone,
+  decodeCfEmail,
+  decodeHtmlEntities,
+  deobfuscateText
+};
@@ -0,0 +1,543 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { defaultPlatforms } = require('./social_platforms');
+const { normalizePhone } = require('./contact_extractor');
+const { parseCount } = require('./facebook_scraper');
+const { parseRating } = require('./local_result_schema');
+const { formatCsvRow } = require('./csv');
+const { formatXlsx } = require('./xlsx');
+
+const platformNames = defaultPlatforms.map(platform => platform.name);
+
+// Display names where capitalizing the platform name is not enough
+const platformLabels = {
+  linkedin: 'LinkedIn',
+  youtube: 'YouTube',
+  tiktok: 'TikTok',
+  whatsapp: 'WhatsApp',
+  google: 'Google Business Profile'
+};
+const platformLabel = (name) => platformLabels[name] || name.charAt(0).toUpperCase() + name.slice(1);
+
+/**
+ * Fields of a flattened contact, the names column mappings refer to
+ * phones and emails hold every number and address found; phone and email are the first of each.
+ */
+const contactFields = [
+  'name', 'category', 'phone', 'phones', 'email', 'emails', 'website', 'contactPage',
+  'address', 'street', 'city', 'region', 'postalCode', 'country',
+  'rating', 'reviewCount', 'hours', 'facebookLikes', 'facebookFollowers',
+  ...platformNames,
+  'source'
+];
+
+/**
+ * Column mappings for the lead CSV and XLSX formats: header -> contact field, or { value } for a fixed value
+ */
+const mappingPresets = {
+  default: Object.fromEntries(contactFields.map(field => [
+    platformNames.includes(field) ? platformLabel(field) : field.replace(/([A-Z])/g, ' $1').replace(/^./, char => char.toUpperCase()),
+    field
+  ])),
+  hubspot: {
+    'Company name': 'name',
+    'Phone number': 'phone',
+    'Email': 'email',
+    'Website URL': 'website',
+    'Street address': 'street',
+    'City': 'city',
+    'State/Region': 'region',
+    'Postal code': 'postalCode',
+    'Country/Region': 'country',
+    'Industry': 'category',
+    'Facebook company page': 'facebook',
+    'LinkedIn company page': 'linkedin',
+    'Twitter handle': 'twitter',
+    'Instagram': 'instagram',
+    'YouTube': 'youtube',
+    'TikTok': 'tiktok',
+    'Lead status': { value: 'NEW' }
+  },
+  salesforce: {
+    'Company': 'name',
+    // Last Name is required on Salesforce leads; the business name stands in until a person is known
+    'Last Name': 'name',
+    'Phone': 'phone',
+    'Email': 'email',
+    'Website': 'website',
+    'Street': 'street',
+    'City': 'city',
+    'State/Province': 'region',
+    'Zip/Postal Code': 'postalCode',
+    'Country': 'country',
+    'Industry': 'category',
+    'Description': 'hours',
+    'Facebook': 'facebook',
+    'LinkedIn': 'linkedin',
+    'Instagram': 'instagram',
+    'Lead Source': { value: 'Web' }
+  }
+};
+
+const exportFormats = ['vcard', 'google', 'lead', 'xlsx'];
+
+/**
+ * Clean a scraped value: trim text and treat empty values and "N/A" placeholders from older outputs as missing
+ * @param {*} value - Scraped value
+ * @returns {*} - The value, or null when missing
+ */
+function clean(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return value;
+  const text = value.replace(/\s+/g, ' ').trim();
+  return !text || /^(?:n\/a|null|undefined)$/i.test(text) ? null : text;
+}
+
+// First value that is not missing
+const pick = (...values) => values.map(clean).find(value => value !== null) ?? null;
+
+// Counts as stored, or as displayed ("12K", "1.2M followers") in older outputs; null when the text has no number
+const toCount = (value) => {
+  const cleaned = clean(value);
+  if (cleaned === null || typeof cleaned === 'number') return cleaned;
+  return parseCount(cleaned);
+};
+
+// Star ratings as stored, or as displayed ("4.8", "4,8"); null when there is no rating between 0 and 5
+const toRating = (value) => {
+  const cleaned = clean(value);
+  if (cleaned === null || typeof cleaned === 'number') return cleaned;
+  return parseRating(String(cleaned));
+};
+
+// Values of a list of strings or { value } entries (emails, phones, lead field values)
+const listValues = (list) => (Array.isArray(list) ? list.map(entry => clean(entry && typeof entry === 'object' ? entry.value : entry)) : [])
+  .filter(value => value !== null);
+
+const countryNames = /^(?:usa?|united states(?: of america)?|canada|uk|united kingdom|australia)$/i;
+const regionPostal = /^([A-Z]{2})(?:\s+(\d{5}(?:-\d{4})?|[A-Z]\d[A-Z]\s?\d[A-Z]\d))?$/;
+const trailingPostal = /\s+(\d{5}(?:-\d{4})?|[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2}|[A-Z]\d[A-Z]\s?\d[A-Z]\d)$/i;
+
+/**
+ * Split a one-line address such as "123 W Main St, Chicago, IL 60601" into its parts
+ * Service areas ("Chicago, IL") give only city and region; text that does not parse stays in street.
+ * @param {string} text - Address as scraped
+ * @returns {Object} - { address, street, city, region, postalCode, country } with null for missing parts
+ */
+function parseAddress(text) {
+  const address = clean(typeof text === 'string' ? text.replace(/\s*,\s*$/, '') : text);
+  const parts = address ? String(address).split(/\s*,\s*/).filter(Boolean) : [];
+  const result = { address, street: null, city: null, region: null, postalCode: null, country: null };
+  if (!parts.length) return result;
+
+  if (parts.length > 1 && countryNames.test(parts[parts.length - 1])) result.country = parts.pop();
+
+  const match = parts.length > 1 && parts[parts.length - 1].match(regionPostal);
+  if (match) {
+    parts.pop();
+    result.region = match[1];
+    result.postalCode = match[2] || null;
+  } else if (parts.length > 1) {
+    const postal = parts[parts.length - 1].match(trailingPostal);
+    if (postal) {
+      result.postalCode = postal[1].toUpperCase();
+      parts[parts.length - 1] = parts[parts.length - 1].slice(0, postal.index);
+    }
+  }
+
+  if (parts.length > 1 || result.region) result.city = parts.pop() || null;
+  result.street = parts.length ? parts.join(', ') : null;
+  return result;
+}
+
+// Website with a scheme, as CRMs expect
+const toUrl = (value) => {
+  const url = clean(value);
+  return url && !/^https?:\/\//i.test(url) ? `http://${url}` : url;
+};
+
+// Host of a website, the name of last resort for contacts found without one
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Tell which scraper produced a record
+ * @param {Object} record - Result or batch/JSONL row
+ * @returns {string} - 'lead', 'facebook', 'social' or 'local'
+ */
+function recordKind(record) {
+  if (record.fields && typeof record.fields === 'object' && !Array.isArray(record.fields)) return 'lead';
+  if (record.mode === 'facebook' || 'pageName' in record) return 'facebook';
+  if (record.mode === 'social' || 'candidates' in record || ('contact' in record && !('name' in record))) return 'social';
+  return 'local';
+}
+
+/**
+ * Flatten a scraper result into a contact with one column per field and per social platform
+ * Accepts LocalBusiness records from scrapeLocalServices, results of extractSocialLinks and scrapeFacebookProfile
+ * (on their own or as batch rows with input), and leads from enrichLeads.
+ * @param {Object} record - Result to convert
+ * @param {Object} options - Configuration options
+ * @param {string} options.defaultCountry - ISO 3166 alpha-2 country for normalizing national phone numbers (default: none)
+ * @returns {Object} - Contact with every field of contactFields; missing values are null
+ */
+function toContact(record, options = {}) {
+  const config = {
+    defaultCountry: '',
+    ...options
+  };
+  const kind = recordKind(record);
+  const contact = Object.fromEntries(contactFields.map(field => [field, null]));
+  contact.source = kind;
+
+  let phones = [];
+  let emails = [];
+  let address = null;
+
+  if (kind === 'lead') {
+    const first = (field) => pick(...listValues(record.fields[field]));
+    Object.assign(contact, {
+      name: pick(record.name, first('name')),
+      category: first('category'),
+      website: first('website'),
+      contactPage: first('contactPage'),
+      rating: toRating(first('rating')),
+      reviewCount: toCount(first('reviewCount')),
+      hours: first('hours'),
+      facebookLikes: toCount(first('facebookLikes')),
+      facebookFollowers: toCount(first('facebookFollowers'))
+    });
+    for (const platform of platformNames) contact[platform] = first(platform);
+    phones = listValues(record.fields.phone);
+    emails = listValues(record.fields.email);
+    address = first('address');
+  } else if (kind === 'facebook') {
+    Object.assign(contact, {
+      name: pick(record.pageName),
+      category: pick(record.category),
+      website: pick(record.website),
+      rating: toRating(record.rating),
+      reviewCount: toCount(record.reviewCount),
+      hours: pick(record.hours),
+      facebookLikes: toCount(record.likesCount),
+      facebookFollowers: toCount(record.followersCount),
+      facebook: pick(record.facebook, record.input, record.url),
+      instagram: pick(record.instagram),
+      whatsapp: pick(record.whatsapp)
+    });
+    phones = [record.phone];
+    emails = [record.email];
+    address = record.address;
+  } else if (kind === 'social') {
+    Object.assign(contact, {
+      name: pick(record.name),
+      website: pick(record.website, record.input, record.url),
+      contactPage: pick(record.contact)
+    });
+    for (const platform of platformNames) contact[platform] = pick(record[platform]);
+    phones = listValues(record.phones);
+    emails = listValues(record.emails);
+  } else {
+    Object.assign(contact, {
+      name: pick(record.name),
+      category: pick(record.category),
+      website: pick(record.website),
+      rating: toRating(record.rating),
+      reviewCount: toCount(pick(record.reviewCount, record.reviews)),
+      hours: pick(record.hours)
+    });
+    phones = [record.phone];
+    address = record.address;
+  }
+
+  contact.website = toUrl(contact.website);
+  contact.phones = [...new Set(phones.map(clean).filter(Boolean).map(phone => normalizePhone(phone, config.defaultCountry) || phone))];
+  contact.emails = [...new Set(emails.map(clean).filter(Boolean).map(email => email.toLowerCase()))];
+  contact.phone = contact.phones[0] || null;
+  contact.email = contact.emails[0] || null;
+  Object.assign(contact, parseAddress(address));
+  if (!contact.phones.length) contact.phones = null;
+  if (!contact.emails.length) contact.emails = null;
+  if (!contact.name) contact.name = hostOf(contact.website);
+
+  return contact;
+}
+
+/**
+ * Read records from JSON or JSONL text: arrays, { data } from scrapeLocalQueries, { leads } from enrichLeads, or
+ * single results; rows with an error are skipped
+ * @param {string} text - File content
+ * @returns {Object[]} - Records for toContact
+ */
+function readRecords(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trim();
+  let values;
+  try {
+    values = [JSON.parse(trimmed)];
+  } catch (e) {
+    values = trimmed.split(/\r?\n/).filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new TypeError(`Line ${index + 1} is not JSON: ${error.message}`);
+      }
+    });
+  }
+
+  const records = [];
+  const add = (value) => {
+    if (Array.isArray(value)) return value.forEach(add);
+    if (!value || typeof value !== 'object') return;
+    if (Array.isArray(value.data)) return value.data.forEach(add);
+    if (Array.isArray(value.leads)) return value.leads.forEach(add);
+    if (!value.error) records.push(value);
+  };
+  values.forEach(add);
+  return records;
+}
+
+/**
+ * Resolve a column mapping, checking that it only refers to contact fields
+ * @param {string|Object} mapping - Preset name ('default', 'hubspot', 'salesforce') or header -> field / { value }
+ * @returns {Object} - Header -> field / { value }
+ * @throws {TypeError} - For unknown presets and fields
+ */
+function resolveMapping(mapping) {
+  if (typeof mapping === 'string') {
+    if (!mappingPresets[mapping]) {
+      throw new TypeError(`Unknown mapping preset: ${mapping} (expected ${Object.keys(mappingPresets).join(', ')})`);
+    }
+    return mappingPresets[mapping];
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new TypeError('Column mapping must be a preset name or an object of column -> contact field');
+  }
+
+  for (const [column, source] of Object.entries(mapping)) {
+    const fixed = source && typeof source === 'object' && 'value' in source;
+    if (!fixed && !contactFields.includes(source)) {
+      throw new TypeError(`Column "${column}" maps to unknown field ${JSON.stringify(source)} (expected one of ${contactFields.join(', ')}, or { "value": ... })`);
+    }
+  }
+  return mapping;
+}
+
+/**
+ * Lay contacts out as rows under a column mapping, header first
+ * @param {Object[]} contacts - Contacts from toContact
+ * @param {Object} mapping - Resolved mapping
+ * @returns {Array[]} - Rows; lists are joined with "; " and missing values are null
+ */
+function mappedRows(contacts, mapping) {
+  const columns = Object.entries(mapping);
+  return [
+    columns.map(([column]) => column),
+    ...contacts.map(contact => columns.map(([, source]) => {
+      const value = typeof source === 'object' ? source.value : contact[source];
+      return Array.isArray(value) ? value.join('; ') : value;
+    }))
+  ];
+}
+
+// vCard text escaping (RFC 6350 3.4)
+const escapeVCard = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+// Fold a content line at 75 octets without splitting a character
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let limit = 75;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Format contacts as vCard 3.0, the version Google Contacts, Apple Contacts and Outlook all import
+ * @param {Object[]} contacts - Contacts from toContact
+ * @returns {string}
+ */
+function formatVCards(contacts) {
+  return contacts.map(contact => {
+    const lines = ['BEGIN:VCARD', 'VERSION:3.0'];
+    const add = (property, value) => {
+      if (value !== null && value !== undefined && value !== '') lines.push(`${property}:${value}`);
+    };
+
+    const name = escapeVCard(contact.name || '');
+    lines.push(`FN:${name}`, `N:${name};;;;`);
+    add('ORG', contact.name && name);
+    for (const [index, phone] of (contact.phones || []).entries()) add(`TEL;TYPE=WORK,VOICE${index ? '' : ',PREF'}`, escapeVCard(phone));
+    for (const [index, email] of (contact.emails || []).entries()) add(`EMAIL;TYPE=INTERNET,WORK${index ? '' : ',PREF'}`, escapeVCard(email));
+    if (contact.address) {
+      const parts = [contact.street || (contact.city ? null : contact.address), contact.city, contact.region, contact.postalCode, contact.country];
+      add('ADR;TYPE=WORK', ['', '', ...parts].map(part => (part ? escapeVCard(part) : '')).join(';'));
+    }
+    add('URL;TYPE=WORK', contact.website && escapeVCard(contact.website));
+    for (const platform of platformNames) {
+      add(`X-SOCIALPROFILE;TYPE=${platform}`, contact[platform] && escapeVCard(contact[platform]));
+    }
+    add('CATEGORIES', contact.category && escapeVCard(contact.category));
+
+    const notes = [
+      contact.rating !== null && `Rating ${contact.rating}${contact.reviewCount !== null ? ` (${contact.reviewCount} reviews)` : ''}`,
+      contact.hours && `Hours: ${contact.hours}`
+    ].filter(Boolean);
+    add('NOTE', notes.length ? escapeVCard(notes.join('\n')) : null);
+    lines.push('END:VCARD');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }).join('');
+}
+
+// Leading characters that make spreadsheet apps evaluate a CSV cell as a formula
+const formulaTriggers = /^[=+\-@\t\r]/;
+
+/**
+ * Format rows as CSV, quoting text that would otherwise be read as a formula when the file is opened
+ * A leading apostrophe makes Excel, Sheets and LibreOffice show the text as it is; XLSX needs none, since its inline
+ * strings are never evaluated.
+ * @param {Array[]} rows - Rows of values, header first
+ * @returns {string}
+ */
+function formatCsvRows(rows) {
+  const neutralize = (value) => (typeof value === 'string' && formulaTriggers.test(value) ? `'${value}` : value);
+  return rows.map(row => formatCsvRow(row.map(neutralize))).join('');
+}
+
+/**
+ * Format contacts in Google Contacts' CSV import layout
+ * Social profiles become extra website entries labelled with the platform.
+ * @param {Object[]} contacts - Contacts from toContact
+ * @returns {string}
+ */
+function formatGoogleCsv(contacts) {
+  const websites = [['Work', 'website'], ...platformNames.map(platform => [platformLabel(platform), platform])];
+  const header = [
+    'Name', 'Organization 1 - Name', 'Organization 1 - Title',
+    'E-mail 1 - Type', 'E-mail 1 - Value', 'E-mail 2 - Type', 'E-mail 2 - Value',
+    'Phone 1 - Type', 'Phone 1 - Value', 'Phone 2 - Type', 'Phone 2 - Value',
+    'Address 1 - Type', 'Address 1 - Formatted', 'Address 1 - Street', 'Address 1 - City',
+    'Address 1 - Region', 'Address 1 - Postal Code', 'Address 1 - Country',
+    ...websites.flatMap((_, index) => [`Website ${index + 1} - Type`, `Website ${index + 1} - Value`]),
+    'Notes', 'Group Membership'
+  ];
+
+  // Type labels only where there is a value, so Google does not create empty entries
+  const typed = (type, value) => [value ? type : null, value || null];
+
+  const rows = contacts.map(contact => {
+    const [email1, email2] = contact.emails || [];
+    const [phone1, phone2] = contact.phones || [];
+    const notes = [
+      contact.rating !== null && `Rating ${contact.rating}${contact.reviewCount !== null ? ` (${contact.reviewCount} reviews)` : ''}`,
+      contact.hours && `Hours: ${contact.hours}`
+    ].filter(Boolean).join('\n');
+
+    return [
+      contact.name, contact.name, contact.category,
+      ...typed('Work', email1), ...typed('Work', email2),
+      ...typed('Work', phone1), ...typed('Work', phone2),
+      contact.address ? 'Work' : null, contact.address, contact.street, contact.city,
+      contact.region, contact.postalCode, contact.country,
+      ...websites.flatMap(([type, field]) => typed(type, contact[field])),
+      notes || null, '* myContacts'
+    ];
+  });
+
+  return formatCsvRows([header, ...rows]);
+}
+
+/**
+ * Export scraper results for CRM import
+ * @param {Object[]} records - Results, rows or leads; see toContact
+ * @param {Object} options - Configuration options
+ * @param {string} options.format - 'vcard', 'google' (Google Contacts CSV), 'lead' (CSV under a column mapping) or 'xlsx' (default: 'lead')
+ * @param {string|Object} options.mapping - Column mapping for 'lead' and 'xlsx': preset name or header -> field
+ *   (default: 'hubspot' for 'lead', 'default' for 'xlsx')
+ * @param {string} options.defaultCountry - ISO 3166 alpha-2 country for normalizing national phone numbers (default: none)
+ * @returns {string|Buffer} - File content; a Buffer for 'xlsx'
+ * @throws {TypeError} - For unknown formats and invalid mappings
+ */
+function exportContacts(records, options = {}) {
+  const config = {
+    format: 'lead',
+    mapping: null,
+    defaultCountry: '',
+    ...options
+  };
+  if (!exportFormats.includes(config.format)) {
+    throw new TypeError(`Unknown export format: ${config.format} (expected ${exportFormats.join(', ')})`);
+  }
+
+  const contacts = records.map(record => toContact(record, { defaultCountry: config.defaultCountry }));
+
+  switch (config.format) {
+    case 'vcard':
+      return formatVCards(contacts);
+    case 'google':
+      // Spreadsheet apps need the byte order mark to read the file as UTF-8
+      return '\uFEFF' + formatGoogleCsv(contacts);
+    case 'xlsx':
+      return formatXlsx(mappedRows(contacts, resolveMapping(config.mapping || 'default')), { sheetName: 'Leads' });
+    default:
+      return '\uFEFF' + formatCsvRows(mappedRows(contacts, resolveMapping(config.mapping || 'hubspot')));
+  }
+}
+
+// Format implied by an output file name
+const formatsByExtension = { '.vcf': 'vcard', '.xlsx': 'xlsx', '.csv': 'lead' };
+
+// Command-line entry point
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      input: { type: 'string', short: 'i', default: '-' },
+      output: { type: 'string', short: 'o' },
+      format: { type: 'string', short: 'f' },
+      mapping: { type: 'string', short: 'm' },
+      country: { type: 'string', default: '' }
+    }
+  });
+
+  const format = values.format || (values.output && formatsByExtension[path.extname(values.output).toLowerCase()]);
+  if (!values.output || !exportFormats.includes(format)) {
+    console.log('Usage: node crm_export.js --output <leads.vcf|leads.csv|leads.xlsx> [--input results.jsonl|-]');
+    console.log('         [--format vcard|google|lead|xlsx] [--mapping hubspot|salesforce|default|mapping.json] [--country US]');
+    console.log('Input is JSON or JSONL from batch.js, scrapeLocal.js, lead_pipeline.js or the scrapers.');
+    process.exit(1);
+  }
+
+  let mapping = values.mapping || null;
+  if (mapping && !mappingPresets[mapping]) mapping = JSON.parse(fs.readFileSync(mapping, 'utf8'));
+
+  const records = readRecords(fs.readFileSync(values.input === '-' ? 0 : values.input, 'utf8'));
+  const content = exportContacts(records, { format, mapping, defaultCountry: values.country });
+  fs.writeFileSync(values.output, content);
+
+  console.log(`✅ Exported ${records.length} contacts to ${values.output} (${format})`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { exportContacts, toContact, parseAddress, readRecords, resolveMapping, mappingPresets, contactFields, exportFormats };
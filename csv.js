@@ -0,0 +1,82 @@
+/**
+ * Parse CSV text into rows of fields (RFC 4180: quoted fields, escaped quotes, embedded newlines)
+ * @param {string} text - CSV text
+ * @returns {string[][]} - Rows of fields; blank lines are skipped
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV text
+ * @returns {Object[]} - One object per data row
+ */
+function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim());
+  return rows.map(row => columns.reduce((record, column, index) => {
+    record[column] = row[index] === undefined ? '' : row[index];
+    return record;
+  }, {}));
+}
+
+/**
+ * Quote a value for CSV output when it contains separators, quotes or newlines
+ * @param {*} value - Value to format; null and undefined become empty fields
+ * @returns {string} - CSV field
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format one CSV row, terminated by a newline
+ * @param {Array} values - Field values
+ * @returns {string} - CSV line
+ */
+function formatCsvRow(values) {
+  return values.map(formatCsvField).join(',') + '\n';
+}
+
+module.exports = { parseCsv, parseCsvRecords, formatCsvField, formatCsvRow };
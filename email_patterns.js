@@ -0,0 +1,313 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { parseCsv, parseCsvRecords, formatCsvRow } = require('./csv');
+const { classifyLocalPart } = require('./email_scoring');
+
+/**
+ * Company address pattern, built from a normalized first and last name
+ * @typedef {Object} EmailPattern
+ * @property {string} name - Pattern name, e.g. 'first.last'
+ * @property {function(string, string): string} build - Builds the local part from (first, last)
+ * @property {number} prior - How common the pattern is across companies, used before there is evidence
+ */
+
+/** @type {EmailPattern[]} */
+const emailPatterns = [
+  { name: 'first.last', build: (first, last) => `${first}.${last}`, prior: 0.3 },
+  { name: 'first', build: (first) => first, prior: 0.18 },
+  { name: 'flast', build: (first, last) => `${first[0]}${last}`, prior: 0.16 },
+  { name: 'firstlast', build: (first, last) => `${first}${last}`, prior: 0.08 },
+  { name: 'f.last', build: (first, last) => `${first[0]}.${last}`, prior: 0.06 },
+  { name: 'first_last', build: (first, last) => `${first}_${last}`, prior: 0.03 },
+  { name: 'firstl', build: (first, last) => `${first}${last[0]}`, prior: 0.03 },
+  { name: 'last', build: (first, last) => last, prior: 0.03 },
+  { name: 'first.l', build: (first, last) => `${first}.${last[0]}`, prior: 0.02 },
+  { name: 'first-last', build: (first, last) => `${first}-${last}`, prior: 0.02 },
+  { name: 'last.first', build: (first, last) => `${last}.${first}`, prior: 0.02 },
+  { name: 'lastf', build: (first, last) => `${last}${first[0]}`, prior: 0.02 },
+  { name: 'lastfirst', build: (first, last) => `${last}${first}`, prior: 0.01 },
+  { name: 'fl', build: (first, last) => `${first[0]}${last[0]}`, prior: 0.01 }
+];
+
+// Weight of the priors against observed examples; one example outweighs them
+const priorWeight = 1;
+
+// Weight of an example whose pattern is only guessed from the shape of its local part
+const shapeWeight = 0.5;
+
+const honorifics = /^(?:mr|mrs|ms|miss|mx|dr|prof|sir|dame)\.?$/i;
+const suffixes = /^(?:jr|sr|ii|iii|iv|phd|md|esq|mba|cpa)\.?$/i;
+
+/**
+ * Split a person's name into a normalized first and last name for building addresses
+ * Accents are removed, honorifics and suffixes dropped, and "Last, First" is understood.
+ * @param {string|Object} person - "Jane Smith", "Smith, Jane" or { first, last } / { name }
+ * @returns {Object|null} - { first, last, name } in lowercase ASCII, or null when there is no usable first and last name
+ */
+function normalizePersonName(person) {
+  let first = '';
+  let last = '';
+  let name = '';
+
+  if (person && typeof person === 'object' && (person.first || person.last)) {
+    first = person.first || '';
+    last = person.last || '';
+    name = `${first} ${last}`.trim();
+  } else {
+    name = String((person && person.name) || person || '').trim();
+    let parts;
+    if (name.includes(',')) {
+      const [lastPart, firstPart] = name.split(',', 2);
+      parts = [...firstPart.trim().split(/\s+/).slice(0, 1), ...lastPart.trim().split(/\s+/)];
+    } else {
+      parts = name.split(/\s+/);
+    }
+
+    parts = parts.filter(part => part && !honorifics.test(part) && !suffixes.test(part.replace(/,$/, '')));
+    first = parts[0] || '';
+    last = parts.length > 1 ? parts[parts.length - 1] : '';
+  }
+
+  const clean = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z]/g, '');
+  first = clean(first);
+  last = clean(last);
+
+  return first && last ? { first, last, name } : null;
+}
+
+/**
+ * Guess which patterns could have produced a local part when no name is known for it
+ * @param {string} local - Part before the "@"
+ * @returns {Object} - Pattern name -> share of the evidence (shares add up to 1), empty when the shape says nothing
+ */
+function patternsFromShape(local) {
+  const separated = local.match(/^([a-z]+)([._-])([a-z]+)$/);
+  if (separated) {
+    const [, left, separator, right] = separated;
+    if (separator === '_') return { first_last: 1 };
+    if (separator === '-') return { 'first-last': 1 };
+    if (left.length === 1 && right.length > 1) return { 'f.last': 1 };
+    if (left.length > 1 && right.length === 1) return { 'first.l': 1 };
+    return { 'first.last': 0.8, 'last.first': 0.2 };
+  }
+
+  // A single run of letters could be first, flast, firstlast... weigh by how common each is
+  if (/^[a-z]{2,}$/.test(local)) {
+    return { first: 0.45, flast: 0.4, firstlast: 0.15 };
+  }
+
+  return {};
+}
+
+/**
+ * Infer a company's email address pattern from addresses already found for it
+ * Examples with a known name (or whose local part matches one of the given names) count fully; the others count
+ * half, spread over the patterns their shape allows. Role addresses such as info@ are ignored.
+ * @param {Array<string|Object>} examples - Email addresses, or { email, name } objects such as findEmails candidates
+ *   and Facebook profile results
+ * @param {Object} options - Configuration options
+ * @param {string} options.domain - Only use addresses on this domain (default: the most common domain among the examples)
+ * @param {Array<string|Object>} options.names - Known people at the company, matched against unnamed examples (default: [])
+ * @returns {Object} - { domain, examples, patterns } with patterns as [{ pattern, confidence, support, examples }], best first
+ */
+function inferEmailPattern(examples, options = {}) {
+  const config = {
+    domain: '',
+    names: [],
+    ...options
+  };
+
+  const addresses = examples
+    .map(example => (typeof example === 'string' ? { email: example } : example))
+    // Scored findEmails candidates at 0 are file names, placeholders and the like
+    .filter(example => example && example.email && example.email.includes('@') && example.score !== 0)
+    .map(example => ({ ...example, email: example.email.trim().toLowerCase() }));
+
+  let domain = config.domain.toLowerCase().replace(/^www\./, '');
+  if (!domain) {
+    const counts = new Map();
+    for (const { email } of addresses) {
+      const emailDomain = email.split('@')[1];
+      counts.set(emailDomain, (counts.get(emailDomain) || 0) + 1);
+    }
+    domain = [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || '';
+  }
+
+  const people = config.names.map(normalizePersonName).filter(Boolean);
+  const support = new Map(emailPatterns.map(pattern => [pattern.name, { support: 0, examples: [] }]));
+  const used = [];
+
+  for (const example of addresses) {
+    const [local, emailDomain] = example.email.split('@');
+    if (emailDomain !== domain || classifyLocalPart(local) === 'role') continue;
+
+    // Prefer exact evidence: the example's own name, otherwise any known person whose address it could be
+    const named = example.name ? normalizePersonName(example.name) : null;
+    const matches = new Set();
+    for (const person of named ? [named] : people) {
+      for (const pattern of emailPatterns) {
+        if (pattern.build(person.first, person.last) === local) matches.add(pattern.name);
+      }
+    }
+
+    const shares = matches.size
+      ? Object.fromEntries([...matches].map(name => [name, 1 / matches.size]))
+      : Object.fromEntries(Object.entries(patternsFromShape(local)).map(([name, share]) => [name, share * shapeWeight]));
+    if (!Object.keys(shares).length) continue;
+
+    used.push(example.email);
+    for (const [name, share] of Object.entries(shares)) {
+      const entry = support.get(name);
+      entry.support += share;
+      entry.examples.push(example.email);
+    }
+  }
+
+  const totalSupport = [...support.values()].reduce((sum, entry) => sum + entry.support, 0);
+  const patterns = emailPatterns
+    .map(pattern => {
+      const { support: patternSupport, examples: patternExamples } = support.get(pattern.name);
+      return {
+        pattern: pattern.name,
+        confidence: Math.round(((patternSupport + priorWeight * pattern.prior) / (totalSupport + priorWeight)) * 1000) / 1000,
+        support: Math.round(patternSupport * 100) / 100,
+        examples: patternExamples
+      };
+    })
+    .sort((a, b) => b.confidence - a.confidence);
+
+  return { domain, examples: used, patterns };
+}
+
+/**
+ * Generate candidate addresses for people at a company, ranked by how well each pattern is supported
+ * @param {Array<string|Object>} names - Person names, "Jane Smith" or { first, last }
+ * @param {Object} inferred - Result of inferEmailPattern
+ * @param {Object} options - Configuration options
+ * @param {string} options.domain - Domain of the addresses (default: inferred.domain)
+ * @param {number} options.limit - Candidates per person (default: 3)
+ * @returns {Object[]} - One { name, candidates: [{ email, pattern, confidence }] } per person; unusable names get no candidates
+ */
+function generateEmailCandidates(names, inferred, options = {}) {
+  const config = {
+    domain: inferred.domain,
+    limit: 3,
+    ...options
+  };
+
+  return names.map(person => {
+    const normalized = normalizePersonName(person);
+    const name = normalized ? normalized.name : String((person && person.name) || person || '');
+    if (!normalized || !config.domain) return { name, candidates: [] };
+
+    const seen = new Set();
+    const candidates = [];
+    for (const { pattern, confidence } of inferred.patterns) {
+      const definition = emailPatterns.find(candidate => candidate.name === pattern);
+      const email = `${definition.build(normalized.first, normalized.last)}@${config.domain}`;
+      if (seen.has(email)) continue;
+
+      seen.add(email);
+      candidates.push({ email, pattern, confidence });
+      if (candidates.length >= config.limit) break;
+    }
+
+    return { name, candidates };
+  });
+}
+
+/**
+ * Read person names from a CSV (name, or first and last columns) or a plain list with one name per line
+ * @param {string} text - File content
+ * @returns {Array<string|Object>} - Names for normalizePersonName
+ */
+function readNames(text) {
+  const [header = []] = parseCsv(text);
+  const columns = header.map(cell => cell.trim().toLowerCase().replace(/[\s_-]/g, ''));
+
+  if (columns.includes('firstname') || columns.includes('first')) {
+    return parseCsvRecords(text).map(record => {
+      const value = (keys) => {
+        const key = Object.keys(record).find(field => keys.includes(field.toLowerCase().replace(/[\s_-]/g, '')));
+        return key ? record[key] : '';
+      };
+      return { first: value(['firstname', 'first']), last: value(['lastname', 'last', 'surname']) };
+    });
+  }
+
+  if (columns.includes('name') || columns.includes('fullname')) {
+    return parseCsvRecords(text).map(record => {
+      const key = Object.keys(record).find(field => ['name', 'fullname'].includes(field.toLowerCase().replace(/[\s_-]/g, '')));
+      return record[key];
+    });
+  }
+
+  return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+// Command-line entry point
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      domain: { type: 'string', short: 'd', default: '' },
+      email: { type: 'string', short: 'e', multiple: true, default: [] },
+      names: { type: 'string', short: 'n' },
+      limit: { type: 'string', default: '3' },
+      output: { type: 'string', short: 'o' }
+    }
+  });
+
+  const names = [
+    ...positionals,
+    ...(values.names ? readNames(fs.readFileSync(values.names, 'utf8')) : [])
+  ];
+
+  if (!values.domain && !values.email.length) {
+    console.log('Usage: node email_patterns.js --domain acme.com [-e john.smith@acme.com ...] [--names team.csv] ["Jane Doe" ...]');
+    console.log('         [--limit 3] [--output candidates.csv]');
+    console.log('Without -e, example addresses are searched for with findEmails.');
+    process.exit(1);
+  }
+
+  let examples = values.email;
+  if (!examples.length) {
+    // Loaded lazily so the CLI works without a browser when examples are given
+    const { findEmails } = require('./emailfinder');
+    const found = await findEmails(values.domain);
+    if (found.error) throw new Error(`Email search failed (${found.error}): ${found.message}`);
+    examples = found.candidates.filter(candidate => candidate.score > 0).map(candidate => candidate.email);
+  }
+
+  const inferred = inferEmailPattern(examples, { domain: values.domain, names });
+  const people = generateEmailCandidates(names, inferred, { limit: Math.max(1, parseInt(values.limit, 10) || 3) });
+
+  console.log(`Pattern for ${inferred.domain || 'unknown domain'} from ${inferred.examples.length} examples:`);
+  for (const { pattern, confidence, support } of inferred.patterns.slice(0, 5)) {
+    console.log(`  ${pattern.padEnd(12)} ${(confidence * 100).toFixed(1)}% (support ${support})`);
+  }
+
+  if (values.output) {
+    const rows = [formatCsvRow(['name', 'email', 'pattern', 'confidence'])];
+    for (const person of people) {
+      for (const candidate of person.candidates) {
+        rows.push(formatCsvRow([person.name, candidate.email, candidate.pattern, candidate.confidence]));
+      }
+    }
+    fs.writeFileSync(values.output, rows.join(''));
+    console.log(`\nSaved candidates for ${people.length} people to ${values.output}`);
+  } else if (people.length) {
+    console.log('\nCandidates:');
+    console.log(JSON.stringify(people, null, 2));
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { inferEmailPattern, generateEmailCandidates, normalizePersonName, emailPatterns };
@@ -0,0 +1,212 @@
+const disposableDomains = new Set(require('./disposable_domains.json'));
+const { emailRegex, deobfuscateText } = require('./contact_extractor');
+
+// Shared mailboxes rather than a person
+const roleLocalParts = new Set([
+  'info', 'contact', 'contactus', 'hello', 'hi', 'sales', 'support', 'help', 'helpdesk', 'service', 'customerservice',
+  'office', 'admin', 'administrator', 'billing', 'accounts', 'accounting', 'finance', 'invoices', 'orders', 'bookings',
+  'reservations', 'enquiries', 'enquiry', 'inquiries', 'inquiry', 'marketing', 'press', 'media', 'pr', 'news',
+  'newsletter', 'jobs', 'careers', 'hr', 'recruiting', 'team', 'webmaster', 'postmaster', 'hostmaster', 'abuse',
+  'privacy', 'legal', 'security', 'noreply', 'no-reply', 'donotreply', 'mail', 'email', 'general', 'feedback'
+]);
+
+// Addresses used as examples in forms and templates
+const placeholderLocalParts = /^(?:you|your|yourname|your\.name|yourmail|youremail|name|firstname|first\.last|firstname\.lastname|lastname|user|username|someone|somebody|test|example|sample)$/i;
+const placeholderDomains = /(?:^|\.)(?:example\.(?:com|org|net)|domain\.(?:com|tld)|email\.com|yourdomain\.com|yourcompany\.com|company\.com|test\.com|sentry\.io|wixpress\.com)$/i;
+
+// Matches that are file names or asset references rather than addresses
+const fileExtensions = /\.(?:png|jpe?g|gif|svg|webp|avif|bmp|ico|tiff?|css|js|json|xml|pdf|docx?|xlsx?|pptx?|zip|mp3|mp4|mov|webm|woff2?|ttf|eot|php|html?|aspx?)$/i;
+
+// Characters of context kept on each side of an email in its snippet
+const snippetRadius = 60;
+
+/**
+ * Find every email mention in a block of text, with how often it occurs and where it first appears
+ * Unlike extractEmails, nothing is filtered here: file names and placeholders are kept so they can be scored.
+ * @param {string} text - Visible text
+ * @param {string} foundOn - URL the text came from (default: none)
+ * @returns {Map<string, Object>} - Lowercase email -> { email, occurrences, snippet, foundOn }
+ */
+function collectEmailMentions(text, foundOn = '') {
+  const content = deobfuscateText(text).replace(/\s+/g, ' ');
+  const pattern = new RegExp(emailRegex.source, 'g');
+  const mentions = new Map();
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    const email = match[0].replace(/^[._%+-]+|[._-]+$/g, '').toLowerCase();
+    const existing = mentions.get(email);
+    if (existing) {
+      existing.occurrences++;
+      continue;
+    }
+
+    const snippet = content
+      .slice(Math.max(0, match.index - snippetRadius), match.index + match[0].length + snippetRadius)
+      .trim();
+    mentions.set(email, { email, occurrences: 1, snippet, foundOn });
+  }
+
+  return mentions;
+}
+
+/**
+ * Merge mentions collected from several pages into the first map
+ * @param {Map<string, Object>} into - Mentions so far, updated in place
+ * @param {Map<string, Object>} mentions - Mentions from another page
+ * @returns {Map<string, Object>} - The merged map
+ */
+function mergeEmailMentions(into, mentions) {
+  for (const [email, mention] of mentions) {
+    const existing = into.get(email);
+    if (existing) existing.occurrences += mention.occurrences;
+    else into.set(email, { ...mention });
+  }
+  return into;
+}
+
+/**
+ * Check an address for syntax errors without contacting any mail server
+ * @param {string} email - Email address
+ * @returns {boolean}
+ */
+function isValidEmailSyntax(email) {
+  const at = email.lastIndexOf('@');
+  if (at < 1 || email.length > 254) return false;
+
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+  if (local.length > 64 || /^\.|\.$|\.\./.test(local) || !/^[a-z0-9._%+-]+$/i.test(local)) return false;
+
+  const labels = domain.split('.');
+  return labels.length >= 2 &&
+    labels.every(label => /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i.test(label)) &&
+    /^[a-z]{2,}$/i.test(labels[labels.length - 1]);
+}
+
+/**
+ * Whether a domain (or a parent domain) is on the bundled disposable-address list
+ * @param {string} domain - Email domain
+ * @returns {boolean}
+ */
+function isDisposableDomain(domain) {
+  const labels = domain.toLowerCase().split('.');
+  return labels.some((_, index) => disposableDomains.has(labels.slice(index).join('.')));
+}
+
+/**
+ * Classify a local part as a shared role mailbox or a personal address
+ * @param {string} local - Part before the "@"
+ * @returns {string} - 'role' or 'personal'
+ */
+function classifyLocalPart(local) {
+  const base = local.toLowerCase().split('+')[0].replace(/[._-]?\d+$/, '');
+  return roleLocalParts.has(base) || roleLocalParts.has(base.replace(/[._-]/g, '')) ? 'role' : 'personal';
+}
+
+/**
+ * Score an email as a contact address for the target domain
+ * Addresses on the target domain or its subdomains rank highest; file names, placeholders, invalid syntax and
+ * the search engine's own addresses score 0.
+ * @param {Object} mention - { email, occurrences, snippet, foundOn } from collectEmailMentions
+ * @param {Object} options - Configuration options
+ * @param {string} options.targetDomain - Domain the search was for, e.g. 'acme.com' (default: none)
+ * @param {string[]} options.excludeDomains - Domains whose addresses never count, e.g. the search engine's own (default: [])
+ * @param {boolean} options.validate - Check syntax and the disposable-domain list (default: true)
+ * @returns {Object} - { email, score, type, domainMatch, valid, disposable, reasons, occurrences, snippet, foundOn }
+ */
+function scoreEmail(mention, options = {}) {
+  const config = {
+    targetDomain: '',
+    excludeDomains: [],
+    validate: true,
+    ...options
+  };
+
+  const { email } = mention;
+  const at = email.lastIndexOf('@');
+  const local = email.slice(0, at);
+  const domain = email.slice(at + 1);
+  const target = config.targetDomain.toLowerCase().replace(/^www\./, '');
+  const reasons = [];
+  let score = 0.5;
+
+  let domainMatch = 'other';
+  if (target && domain === target) domainMatch = 'exact';
+  else if (target && domain.endsWith(`.${target}`)) domainMatch = 'subdomain';
+
+  if (domainMatch === 'exact') {
+    score += 0.4;
+    reasons.push('on target domain');
+  } else if (domainMatch === 'subdomain') {
+    score += 0.3;
+    reasons.push('on a subdomain of the target');
+  } else if (target) {
+    score -= 0.2;
+    reasons.push('different domain');
+  }
+
+  // Mentioned more than once across the results: slightly more trustworthy
+  if (mention.occurrences > 1) score += Math.min(0.1, 0.05 * (mention.occurrences - 1));
+
+  const valid = config.validate ? isValidEmailSyntax(email) : true;
+  const disposable = config.validate ? isDisposableDomain(domain) : false;
+  const excluded = domainMatch === 'other' &&
+    config.excludeDomains.some(excludedDomain => domain === excludedDomain || domain.endsWith(`.${excludedDomain}`));
+
+  if (fileExtensions.test(email)) {
+    score = 0;
+    reasons.push('file name');
+  }
+  if (placeholderLocalParts.test(local) || placeholderDomains.test(domain)) {
+    score = 0;
+    reasons.push('placeholder address');
+  }
+  if (excluded) {
+    score = 0;
+    reasons.push('search engine address');
+  }
+  if (!valid) {
+    score = 0;
+    reasons.push('invalid syntax');
+  }
+  if (disposable) {
+    score = Math.min(score, 0.1);
+    reasons.push('disposable domain');
+  }
+
+  return {
+    email,
+    score: Math.max(0, Math.min(1, Math.round(score * 100) / 100)),
+    type: classifyLocalPart(local),
+    domainMatch,
+    valid,
+    disposable,
+    reasons,
+    occurrences: mention.occurrences,
+    snippet: mention.snippet,
+    foundOn: mention.foundOn
+  };
+}
+
+/**
+ * Score every mention and sort best first, keeping first-seen order among equal scores
+ * @param {Map<string, Object>|Object[]} mentions - Mentions from collectEmailMentions
+ * @param {Object} options - Options passed to scoreEmail
+ * @returns {Object[]} - Scored candidates
+ */
+function rankEmails(mentions, options = {}) {
+  return [...mentions.values()]
+    .map(mention => scoreEmail(mention, options))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  collectEmailMentions,
+  mergeEmailMentions,
+  scoreEmail,
+  rankEmails,
+  classifyLocalPart,
+  isValidEmailSyntax,
+  isDisposableDomain
+};
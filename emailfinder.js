@@ -1,55 +1,169 @@
-const puppeteer = require('puppeteer-extra');
+const { parseArgs } = require('util');
+const { chromium } = require('playwright-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const { createBrowserPool, openPage } = require('./browser_pool');
+const { resolveSearchBackend } = require('./search_backends');
+const { collectEmailMentions, mergeEmailMentions, rankEmails } = require('./email_scoring');
+const { waitForReady, boundedTimeout } = require('./page_readiness');
+const { createArtifactRecorder } = require('./artifacts');
+const { createNetworkPolicy, acquireSession, readProxyList } = require('./network_policy');
+const { ErrorCodes, errorResult } = require('./scrape_errors');
+const { assertNotBlocked, retryWhenBlocked } = require('./block_detector');
+
+chromium.use(StealthPlugin());
+
+/**
+ * Read the visible text of the search results, falling back to the whole page
+ * @param {Object} page - Playwright page showing a results page
+ * @param {string} resultSelector - Container of the organic results (default: whole page)
+ * @returns {Promise<string>}
+ */
+async function readResultsText(page, resultSelector) {
+    return page.evaluate((selector) => {
+        const container = (selector && document.querySelector(selector)) || document.body;
+        return container ? container.innerText : '';
+    }, resultSelector || '');
+}
+
+/**
+ * Search for email addresses published for a domain
+ * @param {string} domain - Domain or URL to search for
+ * @param {Object} options - Configuration options
+ * @param {Object} options.pool - Shared pool from createBrowserPool; a stealth browser is launched per call when omitted (default: null)
+ * @param {string|Object} options.backend - 'duckduckgo', 'bing', 'custom' or a backend definition, see search_backends.js (default: 'duckduckgo')
+ * @param {string} options.baseUrl - Replaces the backend's search URL, e.g. a local stand-in server (default: backend's own)
+ * @param {string} options.urlTemplate - Results page URL template for the 'custom' backend (default: none)
+ * @param {string} options.query - Search query; {domain} is replaced by the domain (default: 'Email of {domain}')
+ * @param {number} options.pages - Number of results pages to read (default: 1)
+ * @param {number} options.maxEmails - Maximum number of emails returned (default: 5)
+ * @param {number} options.minScore - Lowest score an email needs to be returned (default: 0.2)
+ * @param {boolean} options.validate - Check email syntax and the bundled disposable-domain list (default: true)
+ * @param {number} options.timeout - Navigation timeout per results page in milliseconds (default: 60000)
+ * @param {string|Object} options.artifacts - Debug artifacts to capture, see artifacts.js (default: 'off')
+ * @param {Object} options.network - Policy from createNetworkPolicy for proxies, pacing and fingerprints (default: null, direct)
+ * @param {number} options.blockRetries - Attempts after a captcha or rate limit, see retryWhenBlocked (default: 1)
+ * @param {number} options.blockBackoff - Wait before the first retry in milliseconds, doubled on each one (default: 15000)
+ * @returns {Promise<Object>} - { domain, emails, candidates, backend, pagesSearched } or { domain, error, message, status, url, deferred }
+ *   where error is a code from ErrorCodes; emails are the best addresses and candidates every address found with its score,
+ *   type and snippet; artifacts holds the paths of any captured files
+ */
+async function findEmails(domain, options = {}) {
+    const config = {
+        pool: null,
+        backend: 'duckduckgo',
+        baseUrl: '',
+        urlTemplate: '',
+        query: 'Email of {domain}',
+        pages: 1,
+        maxEmails: 5,
+        minScore: 0.2,
+        validate: true,
+        timeout: 60000,
+        artifacts: 'off',
+        network: null,
+        blockRetries: 1,
+        blockBackoff: 15000,
+        ...options
+    };
+
+    const backend = resolveSearchBackend(config.backend, { baseUrl: config.baseUrl, urlTemplate: config.urlTemplate });
+
+    return retryWhenBlocked(() => searchAttempt(domain, backend, config), {
+        retries: config.blockRetries,
+        backoff: config.blockBackoff,
+        label: `${backend.name} search for ${domain}`
+    });
+}
 
-puppeteer.use(StealthPlugin());
+/**
+ * Run the search once with a fresh session
+ * @param {string} domain - Domain or URL to search for
+ * @param {Object} backend - Resolved search backend
+ * @param {Object} config - Options as resolved by findEmails
+ * @returns {Promise<Object>} - Search result or error result, with artifacts when captured
+ */
+async function searchAttempt(domain, backend, config) {
+    const recorder = createArtifactRecorder(config.artifacts, domain);
 
-async function findEmails(domain) {
-    const browser = await puppeteer.launch({ headless: true });
-    const page = await browser.newPage();
+    // Every results page comes from the same search host, so one session covers the whole search
+    const session = await acquireSession(config.network, backend.pageUrl(backend.baseUrl, '', 0) || backend.baseUrl);
 
-    await page.setUserAgent(
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36'
-    );
+    let opened;
+    try {
+        opened = await openPage(config.pool, {
+            browserType: chromium,
+            launchOptions: { headless: true },
+            contextOptions: { ...session.contextOptions, ...recorder.contextOptions },
+            dedicatedContext: recorder.dedicatedContext
+        });
+    } catch (error) {
+        session.release(ErrorCodes.UNKNOWN);
+        throw error;
+    }
+    const { page, close } = opened;
+    await recorder.start(page);
 
     if (!/^https?:\/\//i.test(domain)) {
         domain = 'http://' + domain;
     }
 
-    const searchUrl = `https://duckduckgo.com/?q=${encodeURIComponent(`Email of ${domain}`)}&t=h_&ia=web`;
+    const query = config.query.replace(/\{domain\}/g, domain);
+    const mentions = new Map();
+    let pagesSearched = 0;
+    let result;
 
     try {
-        console.log(`Navigating to: ${searchUrl}`);
-        await page.goto(searchUrl, { waitUntil: 'networkidle2', timeout: 60000 });
-
-        // Wait a little for results to appear
-        await new Promise(r => setTimeout(r, 3000));
-
-        // Extract emails from visible page text
-        const emails = await page.evaluate(() => {
-            const text = document.body.innerText || '';
-            const regex = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
-            const found = text.match(regex) || [];
-            return [...new Set(found)].slice(0, 5);
-        });
+        for (let pageIndex = 0; pageIndex < config.pages; pageIndex++) {
+            const deadlineAt = Date.now() + config.timeout;
+            const searchUrl = backend.pageUrl(backend.baseUrl, query, pageIndex);
+            let response;
+
+            if (searchUrl) {
+                console.log(`Navigating to: ${searchUrl}`);
+                response = await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: config.timeout });
+            } else {
+                // Form-paginated engines: follow the "Next" control, stop when there is none
+                const next = backend.nextSelector ? page.locator(backend.nextSelector).first() : null;
+                if (!next || await next.count() === 0) break;
+
+                console.log(`${backend.name}: opening results page ${pageIndex + 1}`);
+                [response] = await Promise.all([
+                    page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: config.timeout }),
+                    next.click({ timeout: boundedTimeout(config.timeout, deadlineAt) })
+                ]);
+            }
+
+            // Search engines answer bots with captchas and 429s instead of results
+            await assertNotBlocked(page, { response, url: searchUrl || page.url() });
+
+            // Wait for the results to render, bounded by the page timeout
+            await waitForReady(page, { deadline: deadlineAt, selector: backend.resultSelector || '' });
+            pagesSearched++;
+
+            mergeEmailMentions(mentions, collectEmailMentions(await readResultsText(page, backend.resultSelector), page.url()));
+        }
 
-        // Take a screenshot for debugging
-        await page.screenshot({ path: `${domain.replace(/[^a-zA-Z0-9]/g, '_')}_search.png` });
+        const candidates = rankEmails(mentions, {
+            targetDomain: new URL(domain).hostname,
+            excludeDomains: backend.ownDomains || [],
+            validate: config.validate
+        });
+        const emails = candidates
+            .filter(candidate => candidate.score >= config.minScore)
+            .slice(0, config.maxEmails)
+            .map(candidate => candidate.email);
 
-        await browser.close();
-        return { domain, emails };
+        result = { domain, emails, candidates, backend: backend.name, pagesSearched };
     } catch (error) {
-        try {
-            // Try to take a screenshot even if there was an error
-            await page.screenshot({ path: `${domain.replace(/[^a-zA-Z0-9]/g, '_')}_error.png` });
-        } catch (e) {
-            console.error("Couldn't take error screenshot:", e.message);
-        }
-        await browser.close();
-        return { domain, error: error.message };
+        result = { domain, ...errorResult(error, page.url()) };
     }
+
+    const artifacts = await recorder.finish(page, Boolean(result.error), close);
+    session.release(result.error || '');
+    return artifacts ? { ...result, artifacts } : result;
 }
 
-// Test domains
+// Domains searched when none are given on the command line
 const testDomains = [
     'microsoft.com',
     'apple.com',
@@ -58,31 +172,71 @@ const testDomains = [
     'amazon.com'
 ];
 
-async function runTests() {
-    console.log('Starting email search tests...');
+// Command-line entry point
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            backend: { type: 'string', default: 'duckduckgo' },
+            'base-url': { type: 'string', default: '' },
+            'url-template': { type: 'string', default: '' },
+            pages: { type: 'string', default: '1' },
+            artifacts: { type: 'string', default: 'off' },
+            'artifacts-dir': { type: 'string', default: 'artifacts' },
+            proxies: { type: 'string' }
+        }
+    });
+
+    const domains = positionals.length ? positionals : testDomains;
+    const searchOptions = {
+        backend: values.backend,
+        baseUrl: values['base-url'],
+        urlTemplate: values['url-template'],
+        pages: Math.max(1, parseInt(values.pages, 10) || 1),
+        artifacts: { mode: values.artifacts, dir: values['artifacts-dir'] }
+    };
+
+    console.log('Starting email search...');
 
     const results = [];
 
-    for (const domain of testDomains) {
-        console.log(`\nTesting: ${domain}`);
-        const result = await findEmails(domain);
-        results.push(result);
+    // Share one stealth browser and one network policy across all domains
+    const pool = createBrowserPool({ browserType: chromium, maxPages: 1 });
+    const network = createNetworkPolicy({ proxies: values.proxies ? readProxyList(values.proxies) : [] });
 
-        if (result.error) {
-            console.log(`Error for ${domain}: ${result.error}`);
-        } else {
-            console.log(`Emails found for ${domain}:`, result.emails.length ? result.emails : 'No emails found');
+    try {
+        for (const domain of domains) {
+            console.log(`\nSearching: ${domain}`);
+            const result = await findEmails(domain, { ...searchOptions, pool, network });
+            results.push(result);
+
+            if (result.error) {
+                console.log(`Error for ${domain} (${result.error}): ${result.message}`);
+                if (result.artifacts) console.log('Debug artifacts:', Object.values(result.artifacts).join(', '));
+            } else {
+                console.log(`Emails found for ${domain}:`, result.emails.length ? result.emails : 'No emails found');
+            }
         }
+    } finally {
+        await pool.close();
     }
 
     console.log('\n\nSummary of results:');
     for (const result of results) {
         if (result.error) {
-            console.log(`${result.domain}: Error - ${result.error}`);
+            console.log(`${result.domain}: Error - ${result.message}${result.deferred ? ' (deferred, retry later)' : ''}`);
         } else {
             console.log(`${result.domain}: ${result.emails.length} emails found - ${result.emails.join(', ')}`);
         }
     }
 }
 
-runTests();
+// Run if called directly
+if (require.main === module) {
+    main().catch((err) => {
+        console.error("❌ Error:", err);
+        process.exit(1);
+    });
+}
+
+module.exports = { findEmails };
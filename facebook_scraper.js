@@ -1,20 +1,337 @@
 const { chromium } = require('playwright');
+const { openPage } = require('./browser_pool');
+const { waitForReady, boundedTimeout, remainingTime } = require('./page_readiness');
+const { ErrorCodes, assertResponseOk, errorResult } = require('./scrape_errors');
+const { assertNotBlocked, retryWhenBlocked } = require('./block_detector');
+const { loadSelectorProfile, resolveField } = require('./selector_profiles');
+const { createArtifactRecorder } = require('./artifacts');
+const { acquireSession } = require('./network_policy');
+const { dismissConsent } = require('./consent');
+const { scoreEmail } = require('./email_scoring');
+const { defaultPlatforms, normalizeProfileUrl } = require('./social_platforms');
+
+// Fields every selector profile must define, read from the page header and intro card
+const profileFields = ['pageName', 'pageLikes', 'pageFollowers', 'phone', 'email', 'address', 'website', 'category'];
+
+// Fields read when the profile defines them, usually found in the About tabs rather than the header
+const aboutFields = ['hours', 'priceRange', 'rating', 'verified', 'created', 'profileImage', 'coverImage', 'instagram', 'whatsapp'];
+
+// About tabs visited for fields the page itself did not show, by path segment (or sk= value for profile.php URLs)
+const aboutSections = ['about_contact_and_basic_info', 'about_profile_transparency'];
+
+// Count suffixes in the languages Facebook is commonly shown in, by multiplier
+const countMultipliers = {
+  k: 1e3, mil: 1e3, tys: 1e3, tsd: 1e3, 'тыс': 1e3,
+  m: 1e6, mi: 1e6, mn: 1e6, mln: 1e6, mio: 1e6, mill: 1e6, million: 1e6, millions: 1e6, 'млн': 1e6,
+  b: 1e9, bn: 1e9, md: 1e9, mrd: 1e9, billion: 1e9, billions: 1e9
+};
+
+const monthNames = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * Turn a displayed count such as "12K followers", "1,234 likes", "1.234 Follower" or "1,2 mil Me gusta" into a number
+ * A single separator followed by exactly three digits groups thousands; otherwise, or before a suffix, it is decimal.
+ * @param {string} text - Count as shown on the page
+ * @returns {number|null} - The count, or null when the text has no number
+ */
+function parseCount(text) {
+  const match = String(text || '').match(/(\d[\d.,'\s\u00a0\u202f]*)([a-zа-я]+)?/i);
+  if (!match) return null;
+
+  const digits = match[1].replace(/[\s\u00a0\u202f']/g, '').replace(/[.,]+$/, '');
+  const multiplier = countMultipliers[(match[2] || '').toLowerCase()] || 1;
+  const separators = digits.match(/[.,]/g) || [];
+  const last = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+
+  const decimal = new Set(separators).size > 1 ||
+    (separators.length === 1 && (multiplier > 1 || digits.length - last - 1 !== 3));
+  const value = decimal
+    ? Number(`${digits.slice(0, last).replace(/[.,]/g, '')}.${digits.slice(last + 1)}`)
+    : Number(digits.replace(/[.,]/g, ''));
+
+  return Number.isFinite(value) ? Math.round(value * multiplier) : null;
+}
+
+/**
+ * Read the star rating and review count from text such as "Rating · 4.8 (120 Reviews)" or "Not yet rated (0 Reviews)"
+ * Pages that show "95% recommend" instead of stars get a null rating.
+ * @param {string} text - Rating line as shown on the page
+ * @returns {Object} - { rating, reviewCount }, each null when missing
+ */
+function parseRating(text) {
+  const reviews = String(text || '').match(/\(([^()]*?)\s*Reviews?\s*\)/i);
+  const stars = String(text || '').replace(/\([^()]*\)/g, '').match(/(?:^|[\s·])([0-5](?:[.,]\d)?)(?=\s|$)/);
+
+  return {
+    rating: stars ? Number(stars[1].replace(',', '.')) : null,
+    reviewCount: reviews ? parseCount(reviews[1]) : null
+  };
+}
+
+/**
+ * Convert a creation date such as "Page created - March 3, 2015" or "3 March 2015" to YYYY-MM-DD
+ * @param {string} text - Date as shown on the page
+ * @returns {string} - ISO date, the text as shown when it is not an English date, or '' when empty or an impossible
+ *   date such as "June 31, 2015"
+ */
+function parseCreatedDate(text) {
+  const shown = String(text || '').replace(/^Page created\s*[-–·]\s*/i, '').trim();
+  const match = shown.match(/^([a-z]+)\.? (\d{1,2}),? (\d{4})$/i) || shown.match(/^(\d{1,2}) ([a-z]+)\.? (\d{4})$/i);
+  if (!match) return shown;
+
+  const [day, name] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+  const month = monthNames.findIndex(candidate => candidate.startsWith(name.toLowerCase()) && name.length >= 3);
+  if (month < 0) return shown;
+
+  // Date rolls an impossible day over into the next month, which the round trip catches
+  const date = new Date(Date.UTC(Number(match[3]), month, Number(day)));
+  if (date.getUTCMonth() !== month || date.getUTCDate() !== Number(day)) return '';
+
+  return `${match[3]}-${String(month + 1).padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+/**
+ * Canonical profile URL for a link Facebook shows, unwrapping its l.facebook.com redirect
+ * @param {string} platformName - Platform from social_platforms, e.g. 'instagram'
+ * @param {string} href - Link as found on the page
+ * @returns {string} - Canonical profile URL, or '' when the link is not a profile on that platform
+ */
+function profileLink(platformName, href) {
+  let link = href;
+  try {
+    const parsed = new URL(href);
+    if (/^lm?\.facebook\.com$/i.test(parsed.hostname) && parsed.searchParams.get('u')) link = parsed.searchParams.get('u');
+  } catch (e) {
+    // Not absolute; normalizeProfileUrl copes
+  }
+
+  const platform = defaultPlatforms.find(candidate => candidate.name === platformName);
+  return (link && normalizeProfileUrl(platform, link)) || '';
+}
+
+/**
+ * Whether a value read for the email field is a usable address rather than post text, a file name or a placeholder
+ * @param {string} value - Candidate address
+ * @returns {boolean}
+ */
+function isUsableEmail(value) {
+  return scoreEmail({ email: value.toLowerCase(), occurrences: 1 }).score > 0;
+}
+
+// Checks a field's value must pass, beyond its rule patterns
+const fieldChecks = { email: isUsableEmail };
+
+/**
+ * Read page fields that are still missing using a selector profile
+ * @param {Object} page - Playwright page showing a Facebook business page or one of its About tabs
+ * @param {Object} profile - Selector profile from loadSelectorProfile
+ * @param {string[]} fields - Fields to read; fields the profile does not define are skipped
+ * @param {Object} found - { values, rules } collected so far, updated in place
+ */
+async function extractProfileInfo(page, profile, fields, found) {
+  for (const field of fields) {
+    if (!profile.fields[field] || found.values[field]) continue;
+
+    const { value, rule } = await resolveField(page, profile.fields[field], fieldChecks[field]);
+    found.values[field] = value;
+    found.rules[field] = rule;
+  }
+}
+
+/**
+ * URL of one of a page's About tabs
+ * @param {string} pageUrl - Facebook page URL
+ * @param {string} section - Tab from aboutSections
+ * @returns {string}
+ */
+function aboutSectionUrl(pageUrl, section) {
+  const parsed = new URL(pageUrl);
+  parsed.hash = '';
+
+  if (/\/profile\.php$/i.test(parsed.pathname)) {
+    parsed.searchParams.set('sk', section);
+  } else {
+    parsed.search = '';
+    parsed.pathname = `${parsed.pathname.replace(/\/+$/, '')}/${section}`;
+  }
+  return parsed.toString();
+}
+
+/**
+ * Visit the About tabs for the fields the page itself did not show
+ * A tab that fails to load is skipped; the fields found so far are kept.
+ * @param {Object} page - Playwright page, left on the last tab visited
+ * @param {string} url - Facebook page URL
+ * @param {Object} profile - Selector profile from loadSelectorProfile
+ * @param {Object} found - { values, rules } collected so far, updated in place
+ * @param {Object} config - Options as resolved by scrapeFacebookProfile
+ */
+async function extractAboutSections(page, url, profile, found, config) {
+  const deadlineAt = Date.now() + config.aboutDeadline;
+  const fields = [...profileFields, ...aboutFields];
+
+  for (const section of aboutSections) {
+    if (!fields.some(field => profile.fields[field] && !found.values[field]) || remainingTime(deadlineAt) === 0) break;
+
+    const sectionUrl = aboutSectionUrl(url, section);
+    try {
+      const response = await page.goto(sectionUrl, { timeout: boundedTimeout(config.timeout, deadlineAt) });
+      if (config.dismissConsent) await dismissConsent(page);
+      await assertNotBlocked(page, { response, url: sectionUrl });
+      assertResponseOk(response, sectionUrl, await page.textContent('body'));
+      await waitForReady(page, { deadline: deadlineAt, selector: profile.fields.pageName[0].selector });
+
+      await extractProfileInfo(page, profile, fields, found);
+    } catch (error) {
+      const failure = errorResult(error, sectionUrl);
+      console.log(`⚠️ Skipping About tab ${section} (${failure.error}): ${failure.message}`);
+      // Pushing on after a block only earns the session a longer one
+      if (failure.deferred) break;
+    }
+  }
+}
+
+/**
+ * Build the scraper result from the raw field values, parsing counts, rating, dates and links
+ * @param {Object} values - Raw text per field, '' (or absent) when not found
+ * @returns {Object} - Page information; missing text fields are '', missing numbers null
+ */
+function toProfileResult(values) {
+  const text = (field) => values[field] || '';
+  const { rating, reviewCount } = parseRating(text('rating'));
+
+  return {
+    pageName: text('pageName'),
+    pageLikes: text('pageLikes'),
+    pageFollowers: text('pageFollowers'),
+    likesCount: parseCount(text('pageLikes')),
+    followersCount: parseCount(text('pageFollowers')),
+    phone: text('phone'),
+    email: text('email'),
+    address: text('address'),
+    website: text('website'),
+    category: text('category'),
+    hours: text('hours'),
+    priceRange: text('priceRange').replace(/^Price range\s*·\s*/i, ''),
+    rating,
+    reviewCount,
+    verified: Boolean(text('verified')),
+    created: parseCreatedDate(text('created')),
+    profileImage: text('profileImage'),
+    coverImage: text('coverImage'),
+    instagram: profileLink('instagram', text('instagram')),
+    whatsapp: profileLink('whatsapp', text('whatsapp'))
+  };
+}
+
+/**
+ * Load a Facebook page once with a fresh session and extract its information
+ * @param {string} url - Normalized Facebook page URL
+ * @param {Object} profile - Selector profile from loadSelectorProfile
+ * @param {Object} config - Options as resolved by scrapeFacebookProfile
+ * @returns {Promise<Object>} - Page information or an error result, with artifacts when captured
+ */
+async function scrapeProfileAttempt(url, profile, config) {
+  const deadlineAt = Date.now() + config.deadline;
+  const recorder = createArtifactRecorder(config.artifacts, url);
+
+  const session = await acquireSession(config.network, url);
+
+  let opened;
+  try {
+    opened = await openPage(config.pool, {
+      browserType: chromium,
+      launchOptions: { headless: config.headless },
+      contextOptions: {
+        ...session.contextOptions,
+        ...(config.sessionStore && config.sessionStore.contextOptions(url)),
+        ...recorder.contextOptions
+      },
+      dedicatedContext: recorder.dedicatedContext
+    });
+  } catch (error) {
+    session.release(ErrorCodes.UNKNOWN);
+    throw error;
+  }
+  const { page, close } = opened;
+  await recorder.start(page);
+
+  let result;
+  try {
+    // Navigate to Facebook page
+    const response = await page.goto(url, { timeout: boundedTimeout(config.timeout, deadlineAt) });
+    if (config.dismissConsent) await dismissConsent(page);
+    
+    // Captchas, login walls, consent interstitials and rate limiting
+    await assertNotBlocked(page, { response, url });
+    assertResponseOk(response, url, await page.textContent('body'));
+
+    // Wait for the page name to render (primary selector), bounded by the overall deadline
+    await waitForReady(page, { deadline: deadlineAt, selector: profile.fields.pageName[0].selector });
+
+    // Extract Facebook page information, then look in the About tabs for what the page did not show
+    console.log('Facebook Profile Scraper: extracting page information');
+    const found = { values: {}, rules: {} };
+    await extractProfileInfo(page, profile, [...profileFields, ...aboutFields], found);
+    if (config.about) await extractAboutSections(page, url, profile, found, config);
+
+    if (config.selectorStats) {
+      for (const [field, rule] of Object.entries(found.rules)) config.selectorStats.record(profile, field, rule);
+    }
+    result = toProfileResult(found.values);
+    if (config.sessionStore) await config.sessionStore.save(page, url);
+    
+  } catch (error) {
+    result = errorResult(error, url);
+    console.error(`Error scraping Facebook profile (${result.error}):`, result.message);
+  }
+
+  const artifacts = await recorder.finish(page, Boolean(result.error), close);
+  session.release(result.error || '');
+  return artifacts ? { ...result, artifacts } : result;
+}
 
 /**
  * Extract information from a Facebook business page
  * @param {string} facebookUrl - The Facebook page URL to scrape
  * @param {Object} options - Configuration options
  * @param {boolean} options.headless - Whether to run browser in headless mode (default: true)
- * @param {number} options.timeout - Timeout in milliseconds (default: 30000)
- * @param {number} options.maxRetries - Maximum number of retries (default: 20)
- * @returns {Promise<Object>} - Object containing extracted Facebook page information
+ * @param {number} options.timeout - Navigation timeout in milliseconds (default: 30000)
+ * @param {number} options.deadline - Time budget per attempt in milliseconds (default: 45000)
+ * @param {Object} options.pool - Shared pool from createBrowserPool; a browser is launched per call when omitted (default: null)
+ * @param {string|Object} options.selectorProfile - Selector profile name, JSON path or object (default: 'facebook')
+ * @param {Object} options.selectorStats - Collector from createSelectorStats for drift reports (default: null)
+ * @param {string|Object} options.artifacts - Debug artifacts to capture, see artifacts.js (default: 'off')
+ * @param {Object} options.network - Policy from createNetworkPolicy for proxies, pacing and fingerprints (default: null, direct)
+ * @param {number} options.blockRetries - Attempts after a captcha, login wall or rate limit, see retryWhenBlocked (default: 1)
+ * @param {number} options.blockBackoff - Wait before the first retry in milliseconds, doubled on each one (default: 15000)
+ * @param {Object} options.sessionStore - Store from createSessionStore to reuse and save the site's cookies (default: null)
+ * @param {boolean} options.dismissConsent - Close cookie consent dialogs and login modals before extracting (default: true)
+ * @param {boolean} options.about - Visit the About tabs for hours, price range, rating, creation date and contact
+ *   details the page does not show (default: true)
+ * @param {number} options.aboutDeadline - Time budget for the About tabs in milliseconds, on top of deadline (default: 20000)
+ * @returns {Promise<Object>} - Object containing extracted Facebook page information, with likesCount,
+ *   followersCount, rating and reviewCount as numbers (null when missing) and verified as a boolean,
+ *   or { error, message, status, url, deferred } where error is a code from ErrorCodes and deferred marks blocks worth
+ *   retrying later; artifacts holds the paths of any captured files
  */
 async function scrapeFacebookProfile(facebookUrl, options = {}) {
   // Default options
   const config = {
     headless: true, // Always use headless mode in environments without X server
+    pool: null,
     timeout: 30000,
-    maxRetries: 20,
+    deadline: 45000,
+    selectorProfile: 'facebook',
+    selectorStats: null,
+    artifacts: 'off',
+    network: null,
+    blockRetries: 1,
+    blockBackoff: 15000,
+    sessionStore: null,
+    dismissConsent: true,
+    about: true,
+    aboutDeadline: 20000,
     ...options
   };
 
@@ -29,174 +346,13 @@ async function scrapeFacebookProfile(facebookUrl, options = {}) {
   
   console.log(`Scraping Facebook profile: ${url}`);
 
-  const browser = await chromium.launch({ headless: config.headless });
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-    viewport: { width: 1280, height: 800 }
-  });
-  const page = await context.newPage();
-  
-  try {
-    // Navigate to Facebook page
-    await page.goto(url, { timeout: config.timeout });
-    
-    // Check for captcha
-    const bodyText = await page.textContent('body');
-    
-    if (
-      bodyText.includes('unusual traffic') || 
-      bodyText.includes('not a robot') || 
-      await page.locator('iframe[src*="recaptcha"]').count() > 0
-    ) {
-      console.log('Captcha detected!');
-      return {
-        error: 'captcha',
-        url: url
-      };
-    }
+  const profile = loadSelectorProfile(config.selectorProfile, profileFields);
 
-    // Extract Facebook page information
-    let retries = 0;
-    let profileInfo = null;
-    
-    while (retries < config.maxRetries && !profileInfo) {
-      console.log(`Facebook Profile Scraper: Attempt ${retries + 1}`);
-      
-      try {
-        // Page name
-        const pageNameElement = await page.locator('h1.html-h1').first();
-        const pageName = await pageNameElement.count() > 0 ? await pageNameElement.innerText() : '';
-        
-        // Likes and followers
-        const likesElement = await page.locator('a[href*="friends_likes"]').first();
-        const followersElement = await page.locator('a[href*="followers"]').first();
-        
-        const pageLikes = await likesElement.count() > 0 ? await likesElement.innerText() : '';
-        const pageFollowers = await followersElement.count() > 0 ? await followersElement.innerText() : '';
-        
-        // Email and website
-        let email = '';
-        let website = '';
-        
-        // Get all span elements with dir="auto" attribute
-        const spanElements = await page.locator('span[dir="auto"]').all();
-        for (const span of spanElements) {
-          const text = await span.innerText();
-          const trimmedText = text.trim();
-          
-          // Check for email
-          if (!email && trimmedText.includes('@') && trimmedText.includes('.')) {
-            email = trimmedText;
-          }
-          
-          // Check for website
-          if (!website && /^[\w.-]+\.[a-z]{2,}$/i.test(trimmedText)) {
-            website = trimmedText;
-          }
-        }
-        
-        // Phone and address
-        let phone = '';
-        let address = '';
-        
-        // Target the specific div that contains contact info
-        const contactDivs = await page.locator('div.x9f619.x1ja2u2z.x78zum5.x2lah0s.x1n2onr6.x1nhvcw1.x1qjc9v5.xozqiw3.x1q0g3np.xyamay9.xykv574.xbmpl8g.x4cne27.xifccgj').all();
-        
-        for (const div of contactDivs) {
-          // Look for the image element that indicates phone or address
-          const img = await div.locator('img.x1b0d499.xuo83w3').first();
-          if (await img.count() === 0) continue;
-          
-          const imgSrc = await img.getAttribute('src') || '';
-          const spanElement = await div.locator('span[dir="auto"]').first();
-          if (await spanElement.count() === 0) continue;
-          
-          const spanText = await spanElement.innerText();
-          
-          // Check for phone (image with "Dc7-7AgwkwS.png" in src)
-          if (!phone && imgSrc.includes('Dc7-7AgwkwS.png')) {
-            phone = spanText.trim();
-          }
-          
-          // Check for address (image with "8k_Y-oVxbuU.png" in src)
-          if (!address && imgSrc.includes('8k_Y-oVxbuU.png')) {
-            address = spanText.trim();
-          }
-        }
-        
-        // Category
-        let category = '';
-        
-        // Try first method: span.x193iq5w span.html-strong
-        const categoryElement = await page.locator('span.x193iq5w span.html-strong').first();
-        
-        if (await categoryElement.count() > 0) {
-          const parentElement = await categoryElement.locator('xpath=..').first();
-          if (await parentElement.count() > 0) {
-            const parentText = await parentElement.innerText();
-            category = parentText.replace(/Page\s*·\s*/, '').trim();
-          }
-        } 
-        // Try alternative XPath method if first method fails
-        else {
-          const xpathResult = await page.locator('xpath=//span[contains(.,"Page") and contains(.,"·")]').first();
-          if (await xpathResult.count() > 0) {
-            const parentElement = await xpathResult.locator('xpath=..').first();
-            if (await parentElement.count() > 0) {
-              const parentText = await parentElement.innerText();
-              category = parentText.replace(/Page\s*·\s*/, '').trim();
-            }
-          }
-        }
-        
-        // Check if we found any information
-        if (pageName || pageLikes || pageFollowers || phone || email || address || website || category) {
-          profileInfo = {
-            pageName: pageName || '',
-            pageLikes: pageLikes || '',
-            pageFollowers: pageFollowers || '',
-            phone: phone || '',
-            email: email || '',
-            address: address || '',
-            website: website || '',
-            category: category || ''
-          };
-          break;
-        }
-      } catch (error) {
-        console.error(`Error during extraction attempt ${retries + 1}:`, error.message);
-      }
-      
-      // Wait and retry
-      await page.waitForTimeout(1000);
-      retries++;
-    }
-    
-    // If no profile found after all retries, return empty values
-    if (!profileInfo) {
-      profileInfo = {
-        pageName: '',
-        pageLikes: '',
-        pageFollowers: '',
-        phone: '',
-        email: '',
-        address: '',
-        website: '',
-        category: ''
-      };
-    }
-    
-    return profileInfo;
-    
-  } catch (error) {
-    console.error('Error scraping Facebook profile:', error);
-    return {
-      error: error.message,
-      url: url
-    };
-  } finally {
-    await browser.close();
-  }
+  return retryWhenBlocked(() => scrapeProfileAttempt(url, profile, config), {
+    retries: config.blockRetries,
+    backoff: config.blockBackoff,
+    label: url
+  });
 }
 
 // Example usage
@@ -218,4 +374,4 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
-module.exports = { scrapeFacebookProfile };
+module.exports = { scrapeFacebookProfile, parseCount, parseRating, parseCreatedDate };
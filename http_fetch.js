@@ -0,0 +1,98 @@
+const cheerio = require('cheerio');
+const { ScrapeError, ErrorCodes, assertResponseOk } = require('./scrape_errors');
+const { documentText } = require('./contact_extractor');
+
+// Containers that client-side frameworks render into; they are empty in the HTML such sites serve
+const appRootSelector = '#root, #app, #__next, #___gatsby, #__nuxt, [data-reactroot], [ng-version], app-root';
+
+// Served pages with less visible text than this are shells filled in by scripts
+const minimumStaticText = 100;
+
+const javascriptNotice = /enable javascript|requires? javascript|javascript (?:is )?(?:disabled|required)/i;
+
+/**
+ * Fetch a page over plain HTTP and parse it, without a browser
+ * The character set comes from the Content-Type header or the document itself, so legacy encodings decode correctly.
+ * @param {string} url - Page URL
+ * @param {Object} options - Configuration options
+ * @param {number} options.timeout - Request timeout in milliseconds, including the body (default: 15000)
+ * @param {Object} options.contextOptions - Fingerprint from acquireSession; userAgent and locale become headers (default: {})
+ * @param {number} options.maxBytes - Largest page accepted, in bytes (default: 5 MB)
+ * @param {function(Object): void} options.onResponse - Called with { url, status, html } for every response received,
+ *   including error pages, before it is checked; html is '' when the body was not read (default: null)
+ * @returns {Promise<Object>} - { $, url, status } where $ is the Cheerio document and url the URL after redirects
+ * @throws {ScrapeError|Error} - HTTP errors and non-HTML responses as ScrapeError; network errors as thrown by fetch
+ */
+async function fetchDocument(url, options = {}) {
+  const config = {
+    timeout: 15000,
+    contextOptions: {},
+    maxBytes: 5 * 1024 * 1024,
+    onResponse: null,
+    ...options
+  };
+  const { userAgent, locale } = config.contextOptions;
+
+  let response;
+  try {
+    response = await fetch(url, {
+      redirect: 'follow',
+      signal: AbortSignal.timeout(config.timeout),
+      headers: {
+        accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+        ...(userAgent && { 'user-agent': userAgent }),
+        ...(locale && { 'accept-language': `${locale},${locale.split('-')[0]};q=0.9` })
+      }
+    });
+  } catch (error) {
+    // fetch hides the system error (ENOTFOUND, ECONNREFUSED, ...) in its cause, where classifyError cannot see it
+    if (error.cause) error.message = `${error.message}: ${error.cause.code || error.cause.message}`;
+    throw error;
+  }
+
+  const report = (html) => {
+    if (config.onResponse) config.onResponse({ url: response.url || url, status: response.status, html });
+  };
+
+  const statusOf = { status: () => response.status, statusText: () => response.statusText };
+  const contentType = response.headers.get('content-type') || '';
+  if (contentType && !/html|xml/i.test(contentType)) {
+    report('');
+    // Error pages are often plain text; their status says more than their type
+    assertResponseOk(statusOf, url);
+    throw new ScrapeError(ErrorCodes.UNKNOWN, `Not an HTML page (${contentType})`, { url, status: response.status });
+  }
+  if (Number(response.headers.get('content-length')) > config.maxBytes) {
+    report('');
+    throw new ScrapeError(ErrorCodes.UNKNOWN, `Page larger than ${config.maxBytes} bytes`, { url, status: response.status });
+  }
+
+  const body = Buffer.from(await response.arrayBuffer());
+  if (body.length > config.maxBytes) {
+    report('');
+    throw new ScrapeError(ErrorCodes.UNKNOWN, `Page larger than ${config.maxBytes} bytes`, { url, status: response.status });
+  }
+
+  const charset = (contentType.match(/charset=["']?([\w-]+)/i) || [])[1];
+  const $ = cheerio.loadBuffer(body, { encoding: { transportLayerEncodingName: charset } });
+  if (config.onResponse) report($.html());
+
+  assertResponseOk(statusOf, url, documentText($));
+  return { $, url: response.url || url, status: response.status };
+}
+
+/**
+ * Whether a served page is probably filled in by JavaScript, so that only a browser sees its content
+ * @param {Object} $ - Cheerio document as served
+ * @returns {boolean}
+ */
+function looksJsRendered($) {
+  if (documentText($).length < minimumStaticText) return true;
+
+  const appRoot = $(appRootSelector).first();
+  if (appRoot.length && appRoot.text().trim().length < minimumStaticText) return true;
+
+  return javascriptNotice.test($('noscript').text()) && $('a[href]').length === 0;
+}
+
+module.exports = { fetchDocument, looksJsRendered };
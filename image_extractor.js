@@ -0,0 +1,704 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { chromium } = require('playwright');
+const { openPage } = require('./browser_pool');
+const { mapWithConcurrency } = require('./concurrency');
+const { waitForReady, boundedTimeout, remainingTime } = require('./page_readiness');
+const { ErrorCodes, assertResponseOk, errorResult } = require('./scrape_errors');
+const { assertNotBlocked, retryWhenBlocked } = require('./block_detector');
+const { createArtifactRecorder } = require('./artifacts');
+const { acquireSession } = require('./network_policy');
+const { dismissConsent } = require('./consent');
+
+// Image types kept by default, and the extension each is saved with
+const imageExtensions = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/svg+xml': '.svg',
+  'image/bmp': '.bmp',
+  'image/x-icon': '.ico'
+};
+const defaultMimeTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif', 'image/svg+xml'];
+
+// Filters and download settings shared by extractImages, downloadPageImages and downloadImages
+const downloadDefaults = {
+  outputDir: 'images',
+  minWidth: 100,
+  minHeight: 100,
+  mimeTypes: defaultMimeTypes,
+  minBytes: 0,
+  maxBytes: 10 * 1024 * 1024,
+  concurrency: 4,
+  manifest: true,
+  timeout: 30000
+};
+
+/**
+ * Tell the image type from the first bytes of a file, since servers often send the wrong Content-Type
+ * @param {Buffer} buffer - File content
+ * @returns {string} - MIME type, or '' when the content is not a recognized image
+ */
+function sniffImageType(buffer) {
+  const head = buffer.toString('latin1', 0, 16);
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.toString('hex', 0, 8) === '89504e470d0a1a0a') return 'image/png';
+  if (head.startsWith('GIF87a') || head.startsWith('GIF89a')) return 'image/gif';
+  if (head.startsWith('RIFF') && head.slice(8, 12) === 'WEBP') return 'image/webp';
+  if (/^ftypavi[fs]/.test(head.slice(4, 12))) return 'image/avif';
+  if (head.startsWith('BM')) return 'image/bmp';
+  if (head.startsWith('\0\0\x01\0')) return 'image/x-icon';
+  if (/<svg[\s>]/i.test(buffer.toString('utf8', 0, 1024))) return 'image/svg+xml';
+  return '';
+}
+
+/**
+ * Width and height of a JPEG, from its first start-of-frame segment
+ * @param {Buffer} buffer - JPEG content
+ * @returns {Object|null} - { width, height }
+ */
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+
+    const marker = buffer[offset + 1];
+    // Fill bytes and markers without a length
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2;
+      continue;
+    }
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Read the pixel dimensions of an image from its header, without decoding it
+ * SVGs report their width/height attributes, or their viewBox when those are missing or relative.
+ * @param {Buffer} buffer - File content
+ * @param {string} mimeType - Type from sniffImageType
+ * @returns {Object|null} - { width, height }, or null when the header does not say
+ */
+function readImageSize(buffer, mimeType) {
+  try {
+    switch (mimeType) {
+      case 'image/jpeg':
+        return jpegSize(buffer);
+      case 'image/png':
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case 'image/gif':
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case 'image/bmp':
+        return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+      case 'image/webp': {
+        const chunk = buffer.toString('latin1', 12, 16);
+        if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        if (chunk === 'VP8L') {
+          const bits = buffer.readUInt32LE(21);
+          return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        return null;
+      }
+      case 'image/avif': {
+        // Image spatial extents box: size, 'ispe', version/flags, width, height
+        const box = buffer.indexOf('ispe');
+        return box < 0 ? null : { width: buffer.readUInt32BE(box + 8), height: buffer.readUInt32BE(box + 12) };
+      }
+      case 'image/svg+xml': {
+        const tag = (buffer.toString('utf8', 0, 4096).match(/<svg\b[^>]*>/i) || [''])[0];
+        const attribute = (name) => (tag.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(?:px)?\\s*["']`, 'i')) || [])[1];
+        if (attribute('width') && attribute('height')) {
+          return { width: Math.round(Number(attribute('width'))), height: Math.round(Number(attribute('height'))) };
+        }
+        const viewBox = (tag.match(/\sviewBox\s*=\s*["']([^"']+)["']/i) || [])[1];
+        const [, , width, height] = (viewBox || '').trim().split(/[\s,]+/).map(Number);
+        return width && height ? { width: Math.round(width), height: Math.round(height) } : null;
+      }
+      default:
+        return null;
+    }
+  } catch (e) {
+    // Truncated header
+    return null;
+  }
+}
+
+/**
+ * Collect every image the rendered page references: img src, srcset and lazy-load attributes, picture sources,
+ * CSS backgrounds, og:image and similar meta tags, and links straight to image files (lightbox galleries)
+ * @param {Object} page - Playwright page after the content has rendered
+ * @param {Object} options - Configuration options
+ * @param {number} options.maxElements - Elements checked for CSS background images (default: 5000)
+ * @returns {Promise<Object[]>} - Unique absolute URLs: { url, sources, alt, width, height }, where width and height are
+ *   the natural size of images the page already loaded and 0 when unknown
+ */
+async function collectPageImages(page, options = {}) {
+  const config = {
+    maxElements: 5000,
+    ...options
+  };
+
+  const found = await page.evaluate((maxElements) => {
+    const images = [];
+    const add = (raw, source, extra = {}) => {
+      const value = (raw || '').trim();
+      if (!value || /^(?:data|blob|about|javascript):/i.test(value)) return;
+      try {
+        images.push({ url: new URL(value, document.baseURI).href, source, alt: '', width: 0, height: 0, ...extra });
+      } catch (e) {
+        // Malformed URL
+      }
+    };
+
+    // The largest candidate of a srcset, by width or density descriptor. Parsed as the HTML standard does: a URL runs
+    // to the next whitespace, so commas inside it (data URIs, CDN parameters) stay, and a comma after the URL or its
+    // descriptors ends the candidate with or without a space after it.
+    const largest = (srcset) => {
+      const text = srcset || '';
+      let best = '';
+      let bestSize = -1;
+      let position = 0;
+      while (position < text.length) {
+        position += text.slice(position).match(/^[\s,]*/)[0].length;
+        if (position >= text.length) break;
+
+        let candidate = text.slice(position).match(/^\S+/)[0];
+        position += candidate.length;
+        let descriptors = '';
+        if (/,$/.test(candidate)) {
+          candidate = candidate.replace(/,+$/, '');
+        } else {
+          // Descriptors end at the next comma outside parentheses
+          const start = position;
+          let depth = 0;
+          for (; position < text.length && (text[position] !== ',' || depth > 0); position++) {
+            if (text[position] === '(') depth++;
+            if (text[position] === ')') depth = Math.max(0, depth - 1);
+          }
+          descriptors = text.slice(start, position);
+          position++;
+        }
+
+        const descriptor = descriptors.trim().split(/\s+/).find(token => /^\d*\.?\d+[wx]$/i.test(token)) || '1x';
+        const size = parseFloat(descriptor) || 1;
+        if (candidate && size > bestSize) {
+          best = candidate;
+          bestSize = size;
+        }
+      }
+      return best;
+    };
+
+    const lazyAttributes = ['data-src', 'data-lazy-src', 'data-original', 'data-lazy', 'data-full', 'data-large-file'];
+    const lazySrcsetAttributes = ['data-srcset', 'data-lazy-srcset'];
+
+    for (const img of document.querySelectorAll('img')) {
+      const alt = img.getAttribute('alt') || '';
+      const loaded = img.complete && img.naturalWidth ? { width: img.naturalWidth, height: img.naturalHeight } : {};
+      add(img.currentSrc || img.getAttribute('src'), 'img', { alt, ...loaded });
+      add(largest(img.getAttribute('srcset')), 'srcset', { alt });
+      for (const name of lazyAttributes) add(img.getAttribute(name), 'lazy', { alt });
+      for (const name of lazySrcsetAttributes) add(largest(img.getAttribute(name)), 'lazy', { alt });
+    }
+
+    for (const source of document.querySelectorAll('picture source')) {
+      const img = source.parentElement.querySelector('img');
+      const alt = img ? img.getAttribute('alt') || '' : '';
+      add(largest(source.getAttribute('srcset')), 'srcset', { alt });
+      add(largest(source.getAttribute('data-srcset')), 'lazy', { alt });
+    }
+
+    const metaSelector = 'meta[property="og:image"], meta[property="og:image:secure_url"], meta[name="twitter:image"], meta[property="twitter:image"]';
+    for (const meta of document.querySelectorAll(metaSelector)) add(meta.getAttribute('content'), 'meta');
+    for (const link of document.querySelectorAll('link[rel="image_src"]')) add(link.getAttribute('href'), 'meta');
+
+    for (const link of document.querySelectorAll('a[href]')) {
+      if (!/\.(?:jpe?g|png|gif|webp|avif)(?:$|[?#])/i.test(link.getAttribute('href'))) continue;
+      const img = link.querySelector('img');
+      add(link.getAttribute('href'), 'link', { alt: (img && img.getAttribute('alt')) || link.textContent.trim() });
+    }
+
+    const elements = document.body ? [...document.body.querySelectorAll('*')].slice(0, maxElements) : [];
+    for (const element of elements) {
+      const background = getComputedStyle(element).backgroundImage;
+      if (background && background !== 'none') {
+        for (const match of background.matchAll(/url\(\s*(['"]?)(.*?)\1\s*\)/g)) add(match[2], 'css');
+      }
+      for (const name of ['data-bg', 'data-background', 'data-background-image']) {
+        const value = element.getAttribute(name);
+        if (value) add(value.replace(/^url\(\s*(['"]?)(.*?)\1\s*\)$/, '$2'), 'lazy');
+      }
+    }
+
+    return images;
+  }, config.maxElements);
+
+  // Merge repeats of the same URL, keeping every source and the first alt text and size found
+  const byUrl = new Map();
+  for (const image of found) {
+    const existing = byUrl.get(image.url);
+    if (!existing) {
+      byUrl.set(image.url, { url: image.url, sources: [image.source], alt: image.alt, width: image.width, height: image.height });
+      continue;
+    }
+    if (!existing.sources.includes(image.source)) existing.sources.push(image.source);
+    if (!existing.alt) existing.alt = image.alt;
+    if (!existing.width && image.width) Object.assign(existing, { width: image.width, height: image.height });
+  }
+  return [...byUrl.values()];
+}
+
+/**
+ * Scroll through the page so lazy-loaded images and infinite galleries load
+ * @param {Object} page - Playwright page
+ * @param {number} steps - Maximum number of viewport-high scrolls
+ * @param {number} deadline - Absolute deadline as a Date.now() timestamp
+ */
+async function scrollThroughPage(page, steps, deadline) {
+  for (let step = 0; step < steps && remainingTime(deadline) > 0; step++) {
+    const atBottom = await page.evaluate(() => {
+      window.scrollBy(0, window.innerHeight);
+      return window.scrollY + window.innerHeight >= document.documentElement.scrollHeight - 2;
+    });
+    await page.waitForTimeout(Math.min(250, remainingTime(deadline)));
+    if (atBottom) break;
+  }
+  await page.evaluate(() => window.scrollTo(0, 0));
+}
+
+/**
+ * File name for a saved image: a slug of the URL's file name plus the start of the content hash
+ * @param {string} url - Image URL
+ * @param {string} hash - SHA-256 of the content
+ * @param {string} mimeType - Image type
+ * @returns {string}
+ */
+function imageFileName(url, hash, mimeType) {
+  let base = '';
+  try {
+    base = path.basename(decodeURIComponent(new URL(url).pathname)).replace(/\.[a-z0-9]+$/i, '');
+  } catch (e) {
+    // Unparseable URL; the hash alone names the file
+  }
+  const slug = base.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+  return `${slug ? `${slug}-` : ''}${hash.slice(0, 12)}${imageExtensions[mimeType] || ''}`;
+}
+
+/**
+ * Download an image with Node's fetch, giving up as soon as it is known to be larger than maxBytes
+ * The Content-Length header is checked first; without one the body is read until it passes the limit.
+ * @param {string} url - Image URL
+ * @param {Object} options - Configuration options
+ * @param {Object} options.headers - Request headers, such as the page's cookies and user agent (default: {})
+ * @param {number} options.timeout - Request timeout in milliseconds, including the body (default: 30000)
+ * @param {number} options.maxBytes - Largest body read, in bytes (default: 10 MB)
+ * @returns {Promise<Object>} - { contentType, body } where body is null when the image is too large
+ * @throws {ScrapeError|Error} - HTTP errors as ScrapeError; network errors as thrown by fetch
+ */
+async function streamImage(url, options = {}) {
+  const config = {
+    headers: {},
+    timeout: 30000,
+    maxBytes: 10 * 1024 * 1024,
+    ...options
+  };
+
+  let response;
+  try {
+    response = await fetch(url, { redirect: 'follow', signal: AbortSignal.timeout(config.timeout), headers: config.headers });
+  } catch (error) {
+    // fetch hides the system error (ENOTFOUND, ECONNREFUSED, ...) in its cause, where classifyError cannot see it
+    if (error.cause) error.message = `${error.message}: ${error.cause.code || error.cause.message}`;
+    throw error;
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  const tooLarge = async () => {
+    if (response.body) await response.body.cancel().catch(() => {});
+    return { contentType, body: null };
+  };
+
+  try {
+    assertResponseOk({ status: () => response.status, statusText: () => response.statusText }, url);
+  } catch (error) {
+    await tooLarge();
+    throw error;
+  }
+  if (Number(response.headers.get('content-length')) > config.maxBytes) return tooLarge();
+
+  const chunks = [];
+  let size = 0;
+  const reader = response.body ? response.body.getReader() : null;
+  for (let read = reader && await reader.read(); read && !read.done; read = await reader.read()) {
+    size += read.value.length;
+    if (size > config.maxBytes) {
+      await reader.cancel().catch(() => {});
+      return { contentType, body: null };
+    }
+    chunks.push(read.value);
+  }
+  return { contentType, body: Buffer.concat(chunks) };
+}
+
+/**
+ * Download an image through the page's browser context, which shares its cookies and proxy
+ * Playwright reads the whole body before returning, so the size limit is applied afterwards.
+ * @param {Object} request - Playwright APIRequestContext of the page
+ * @param {string} url - Image URL
+ * @param {Object} config - Options as resolved by downloadPageImages
+ * @returns {Promise<Object>} - { contentType, body } where body is null when the image is too large
+ */
+async function requestImage(request, url, config) {
+  const response = await request.get(url, { timeout: config.timeout, failOnStatusCode: false });
+  assertResponseOk(response, url);
+  const headers = response.headers();
+  if (Number(headers['content-length']) > config.maxBytes) {
+    await response.dispose();
+    return { contentType: headers['content-type'] || '', body: null };
+  }
+  const body = await response.body();
+  return { contentType: headers['content-type'] || '', body: body.length > config.maxBytes ? null : body };
+}
+
+/**
+ * Download one image and decide whether to keep it
+ * @param {function(string): Promise<Object>} download - Resolves an image URL to { contentType, body }
+ * @param {Object} image - Candidate from collectPageImages
+ * @param {Object} config - Options as resolved by downloadImages
+ * @param {Map<string, Object>} saved - Content hash -> manifest entry, shared by the downloads of one page
+ * @returns {Promise<Object>} - { entry } for a new image, or { skipped: { url, reason } }
+ */
+async function downloadImage(download, image, config, saved) {
+  const skip = (reason) => ({ skipped: { url: image.url, reason } });
+
+  // Known to be too small from the copy the page already loaded
+  if (image.width && image.height && (image.width < config.minWidth || image.height < config.minHeight)) {
+    return skip('too_small');
+  }
+
+  let downloaded;
+  try {
+    downloaded = await download(image.url);
+  } catch (error) {
+    return skip(errorResult(error, image.url).error);
+  }
+
+  const { body } = downloaded;
+  if (!body) return skip('too_many_bytes');
+  const declaredType = downloaded.contentType.split(';')[0].trim().toLowerCase();
+  const mimeType = sniffImageType(body) || declaredType;
+  if (!config.mimeTypes.includes(mimeType)) return skip('type');
+  if (body.length < config.minBytes) return skip('too_few_bytes');
+
+  // Vector images without a declared size scale to anything, so only raster sizes are checked
+  const size = readImageSize(body, mimeType) || { width: image.width || null, height: image.height || null };
+  if (size.width !== null && size.height !== null && (size.width < config.minWidth || size.height < config.minHeight)) {
+    return skip('too_small');
+  }
+
+  const hash = crypto.createHash('sha256').update(body).digest('hex');
+  const duplicate = saved.get(hash);
+  if (duplicate) {
+    duplicate.duplicates.push(image.url);
+    return skip('duplicate');
+  }
+
+  const file = imageFileName(image.url, hash, mimeType);
+  const entry = {
+    url: image.url,
+    file,
+    width: size.width,
+    height: size.height,
+    alt: image.alt,
+    hash,
+    mimeType,
+    bytes: body.length,
+    sources: image.sources,
+    duplicates: []
+  };
+  // Claimed before writing, so a concurrent download of the same content sees it
+  saved.set(hash, entry);
+  fs.writeFileSync(path.join(config.outputDir, file), body);
+
+  return { entry };
+}
+
+/**
+ * Download image candidates, keep the ones that pass the filters and drop repeats of the same content
+ * @param {Object[]} candidates - Candidates from collectPageImages: { url, sources, alt, width, height }
+ * @param {Object} options - Configuration options
+ * @param {string} options.outputDir - Directory the images and manifest.json are written to (default: 'images')
+ * @param {number} options.minWidth - Smallest width kept, in pixels (default: 100)
+ * @param {number} options.minHeight - Smallest height kept, in pixels (default: 100)
+ * @param {string[]} options.mimeTypes - Image types kept, judged by content (default: JPEG, PNG, GIF, WebP, AVIF and SVG)
+ * @param {number} options.minBytes - Smallest file kept, in bytes (default: 0)
+ * @param {number} options.maxBytes - Largest file kept, in bytes (default: 10 MB)
+ * @param {number} options.concurrency - Downloads in flight at once (default: 4)
+ * @param {boolean} options.manifest - Write manifest.json next to the images (default: true)
+ * @param {number} options.timeout - Per-download timeout in milliseconds (default: 30000)
+ * @param {function(string): Promise<Object>} options.download - Resolves an image URL to { contentType, body }, body
+ *   being null when it is larger than maxBytes (default: a plain request with Node's fetch)
+ * @param {string} options.pageUrl - Page the candidates came from, recorded in the manifest (default: none)
+ * @returns {Promise<Object>} - { images, skipped, manifest } as described for extractImages
+ */
+async function downloadImages(candidates, options = {}) {
+  const config = {
+    ...downloadDefaults,
+    download: null,
+    pageUrl: '',
+    ...options
+  };
+  const download = config.download || ((imageUrl) => streamImage(imageUrl, { timeout: config.timeout, maxBytes: config.maxBytes }));
+
+  fs.mkdirSync(config.outputDir, { recursive: true });
+  const saved = new Map();
+  const outcomes = await mapWithConcurrency(candidates, config.concurrency, image => downloadImage(download, image, config, saved));
+
+  const images = outcomes.filter(outcome => outcome.entry).map(outcome => outcome.entry);
+  const skipped = outcomes.filter(outcome => outcome.skipped).map(outcome => outcome.skipped);
+  const output = { images, skipped };
+  if (config.manifest) {
+    output.manifest = path.join(config.outputDir, 'manifest.json');
+    fs.writeFileSync(output.manifest, JSON.stringify({ url: config.pageUrl, images, skipped }, null, 2) + '\n');
+  }
+  return output;
+}
+
+/**
+ * Collect and download the images of a page that is already loaded, such as the one extractSocialLinks rendered
+ * The page is not navigated or closed; downloads carry its cookies, user agent and referer.
+ * @param {Object} page - Playwright page after the content has rendered
+ * @param {Object} options - Configuration options; the filters and download settings are those of downloadImages
+ * @param {boolean} options.scroll - Scroll through the page first so lazy images load (default: true)
+ * @param {number} options.scrollSteps - Maximum number of viewport-high scrolls (default: 20)
+ * @param {number} options.maxElements - Elements checked for CSS background images (default: 5000)
+ * @param {number} options.deadline - Time budget for scrolling in milliseconds (default: 60000)
+ * @param {boolean} options.throughBrowser - Download through the page's browser context, which proxied sessions need
+ *   since plain requests cannot use the proxy (default: false)
+ * @returns {Promise<Object>} - { url, images, skipped, manifest } as described for extractImages
+ */
+async function downloadPageImages(page, options = {}) {
+  const config = {
+    ...downloadDefaults,
+    scroll: true,
+    scrollSteps: 20,
+    maxElements: 5000,
+    deadline: 60000,
+    throughBrowser: false,
+    ...options
+  };
+  const deadlineAt = Date.now() + config.deadline;
+  const url = page.url();
+
+  if (config.scroll) {
+    await scrollThroughPage(page, config.scrollSteps, deadlineAt);
+    await waitForReady(page, { deadline: deadlineAt });
+  }
+
+  const candidates = await collectPageImages(page, { maxElements: config.maxElements });
+  console.log(`🖼️ Found ${candidates.length} image URLs on ${url}; downloading with concurrency ${config.concurrency}`);
+
+  const userAgent = await page.evaluate(() => navigator.userAgent);
+  const download = config.throughBrowser
+    ? (imageUrl) => requestImage(page.request, imageUrl, config)
+    : async (imageUrl) => {
+      const cookies = await page.context().cookies(imageUrl);
+      return streamImage(imageUrl, {
+        timeout: config.timeout,
+        maxBytes: config.maxBytes,
+        headers: {
+          'user-agent': userAgent,
+          referer: url,
+          ...(cookies.length && { cookie: cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ') })
+        }
+      });
+    };
+
+  const { images, skipped, manifest } = await downloadImages(candidates, { ...config, download, pageUrl: url });
+  console.log(`✅ Saved ${images.length} images to ${config.outputDir} (${skipped.length} skipped)`);
+  return { url, images, skipped, ...(manifest && { manifest }) };
+}
+
+/**
+ * Load a page once with a fresh session, collect its images and download the ones that pass the filters
+ * @param {string} url - Normalized page URL
+ * @param {Object} config - Options as resolved by extractImages
+ * @returns {Promise<Object>} - { url, images, skipped } or an error result, with artifacts when captured
+ */
+async function extractImagesAttempt(url, config) {
+  const deadlineAt = Date.now() + config.deadline;
+  const recorder = createArtifactRecorder(config.artifacts, url);
+
+  const session = await acquireSession(config.network, url);
+
+  let opened;
+  try {
+    opened = await openPage(config.pool, {
+      browserType: chromium,
+      launchOptions: { headless: config.headless },
+      contextOptions: {
+        ...session.contextOptions,
+        ...(config.sessionStore && config.sessionStore.contextOptions(url)),
+        ...recorder.contextOptions
+      },
+      dedicatedContext: recorder.dedicatedContext
+    });
+  } catch (error) {
+    session.release(ErrorCodes.UNKNOWN);
+    throw error;
+  }
+  const { page, close } = opened;
+  await recorder.start(page);
+
+  let output;
+  try {
+    const response = await page.goto(url, { timeout: boundedTimeout(config.timeout, deadlineAt) });
+    if (config.dismissConsent) await dismissConsent(page);
+    await assertNotBlocked(page, { response, url });
+    assertResponseOk(response, url, await page.evaluate(() => document.body ? document.body.innerText : ''));
+
+    await waitForReady(page, { deadline: deadlineAt });
+    output = {
+      ...await downloadPageImages(page, { ...config, deadline: remainingTime(deadlineAt), throughBrowser: Boolean(session.proxy) }),
+      url
+    };
+    if (config.sessionStore) await config.sessionStore.save(page, url);
+
+  } catch (error) {
+    output = errorResult(error, url);
+    console.error(`Error extracting images (${output.error}):`, output.message);
+  }
+
+  const artifacts = await recorder.finish(page, Boolean(output.error), close);
+  session.release(output.error || '');
+  return artifacts ? { ...output, artifacts } : output;
+}
+
+/**
+ * Download the images of a web page, including lazy-loaded, srcset, CSS background and JavaScript gallery images
+ * Loads the page itself; use downloadPageImages for a page that is already open.
+ * @param {string} targetUrl - The page URL to collect images from
+ * @param {Object} options - Configuration options
+ * @param {string} options.outputDir - Directory the images and manifest.json are written to (default: 'images')
+ * @param {number} options.minWidth - Smallest width kept, in pixels (default: 100)
+ * @param {number} options.minHeight - Smallest height kept, in pixels (default: 100)
+ * @param {string[]} options.mimeTypes - Image types kept, judged by content rather than the Content-Type header
+ *   (default: JPEG, PNG, GIF, WebP, AVIF and SVG)
+ * @param {number} options.minBytes - Smallest file kept, in bytes (default: 0)
+ * @param {number} options.maxBytes - Largest file kept, in bytes (default: 10 MB)
+ * @param {number} options.concurrency - Downloads in flight at once (default: 4)
+ * @param {boolean} options.scroll - Scroll through the page first so lazy images load (default: true)
+ * @param {number} options.scrollSteps - Maximum number of viewport-high scrolls (default: 20)
+ * @param {number} options.maxElements - Elements checked for CSS background images (default: 5000)
+ * @param {boolean} options.manifest - Write manifest.json next to the images (default: true)
+ * @param {boolean} options.headless - Whether to run browser in headless mode (default: true)
+ * @param {number} options.timeout - Navigation and per-download timeout in milliseconds (default: 30000)
+ * @param {number} options.deadline - Time budget for loading and scrolling the page in milliseconds (default: 60000)
+ * @param {Object} options.pool - Shared pool from createBrowserPool; a browser is launched per call when omitted (default: null)
+ * @param {string|Object} options.artifacts - Debug artifacts to capture, see artifacts.js (default: 'off')
+ * @param {Object} options.network - Policy from createNetworkPolicy for proxies, pacing and fingerprints (default: null, direct)
+ * @param {number} options.blockRetries - Attempts after a captcha, login wall or rate limit, see retryWhenBlocked (default: 1)
+ * @param {number} options.blockBackoff - Wait before the first retry in milliseconds, doubled on each one (default: 15000)
+ * @param {Object} options.sessionStore - Store from createSessionStore to reuse and save the site's cookies (default: null)
+ * @param {boolean} options.dismissConsent - Close cookie consent dialogs and login modals before collecting (default: true)
+ * @returns {Promise<Object>} - { url, images, skipped, manifest } where each image is { url, file, width, height, alt,
+ *   hash, mimeType, bytes, sources, duplicates } and each skipped URL has a reason, or { error, message, status, url,
+ *   deferred } where error is a code from ErrorCodes
+ */
+async function extractImages(targetUrl, options = {}) {
+  // Default options
+  const config = {
+    ...downloadDefaults,
+    scroll: true,
+    scrollSteps: 20,
+    maxElements: 5000,
+    headless: true, // Always use headless mode in environments without X server
+    pool: null,
+    deadline: 60000,
+    artifacts: 'off',
+    network: null,
+    blockRetries: 1,
+    blockBackoff: 15000,
+    sessionStore: null,
+    dismissConsent: true,
+    ...options
+  };
+
+  // Normalize the URL
+  let url = targetUrl.trim();
+  if (!url.match(/^https?:\/\//i)) {
+    url = "http://" + url;
+  }
+
+  console.log(`Extracting images from: ${url}`);
+
+  return retryWhenBlocked(() => extractImagesAttempt(url, config), {
+    retries: config.blockRetries,
+    backoff: config.blockBackoff,
+    label: url
+  });
+}
+
+// Command-line entry point
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o', default: 'images' },
+      'min-width': { type: 'string', default: '100' },
+      'min-height': { type: 'string', default: '100' },
+      types: { type: 'string', default: '' },
+      'max-bytes': { type: 'string', default: '' },
+      concurrency: { type: 'string', short: 'c', default: '4' },
+      'no-scroll': { type: 'boolean', default: false }
+    }
+  });
+
+  if (positionals.length !== 1) {
+    console.log('Usage: node image_extractor.js <page_url> [-o images] [--min-width 100] [--min-height 100]');
+    console.log('         [--types jpeg,png,webp] [--max-bytes 10485760] [-c 4] [--no-scroll]');
+    process.exit(1);
+  }
+
+  const result = await extractImages(positionals[0], {
+    outputDir: values.output,
+    minWidth: parseInt(values['min-width'], 10) || 0,
+    minHeight: parseInt(values['min-height'], 10) || 0,
+    ...(values.types && { mimeTypes: values.types.split(',').map(type => type.includes('/') ? type : `image/${type.replace(/^jpg$/, 'jpeg').replace(/^svg$/, 'svg+xml')}`) }),
+    ...(values['max-bytes'] && { maxBytes: parseInt(values['max-bytes'], 10) }),
+    concurrency: Math.max(1, parseInt(values.concurrency, 10) || 1),
+    scroll: !values['no-scroll']
+  });
+
+  if (result.error) {
+    console.error(`❌ ${result.error}: ${result.message}`);
+    process.exit(1);
+  }
+  if (result.manifest) console.log(`Manifest: ${result.manifest}`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { extractImages, downloadPageImages, downloadImages, collectPageImages, readImageSize, sniffImageType };
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+// Job states, in the order a job moves through them
+const JobStatus = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Create an in-memory job queue that runs submitted tasks with bounded concurrency
+ * A task resolving to an object with an error field (the scrapers' error results) marks the job failed, as does a
+ * task that throws. Finished jobs are kept for polling until room is needed for new ones, oldest first.
+ * @param {Object} options - Configuration options
+ * @param {number} options.concurrency - Jobs running at once (default: 2)
+ * @param {number} options.maxJobs - Jobs kept, including finished ones; submit fails only when that many are queued or running (default: 1000)
+ * @param {Function} options.onFinish - Called with the job and its private data once it is done or failed; errors are
+ *   logged and ignored (default: null)
+ * @returns {Object} - Queue with submit, get, cancel, list, stats and close
+ */
+function createJobQueue(options = {}) {
+  const config = {
+    concurrency: 2,
+    maxJobs: 1000,
+    onFinish: null,
+    ...options
+  };
+
+  // Job id -> job, in submission order
+  const jobs = new Map();
+  const waiting = [];
+  const active = new Set();
+  let closed = false;
+
+  const isFinished = (job) => [JobStatus.DONE, JobStatus.FAILED, JobStatus.CANCELLED].includes(job.status);
+
+  // Public view of a job, without its task and private data
+  const describe = (job, withResult = false) => {
+    const { task, hidden, result, ...summary } = job;
+    return withResult ? { ...summary, result } : summary;
+  };
+
+  // Drop the oldest finished jobs until fewer than limit are kept
+  const prune = (limit) => {
+    for (const job of jobs.values()) {
+      if (jobs.size < limit) break;
+      if (isFinished(job)) jobs.delete(job.id);
+    }
+  };
+
+  const run = async (job) => {
+    job.status = JobStatus.RUNNING;
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.result = await job.task();
+      job.status = job.result && job.result.error ? JobStatus.FAILED : JobStatus.DONE;
+    } catch (error) {
+      job.result = { error: 'unknown', message: error.message };
+      job.status = JobStatus.FAILED;
+    }
+    job.finishedAt = new Date().toISOString();
+
+    if (config.onFinish) {
+      try {
+        await config.onFinish(describe(job, true), job.hidden);
+      } catch (error) {
+        console.error(`⚠️ Job ${job.id} finish handler failed:`, error.message);
+      }
+    }
+  };
+
+  const pump = () => {
+    while (!closed && active.size < config.concurrency && waiting.length) {
+      const job = waiting.shift();
+      const running = run(job).finally(() => {
+        active.delete(running);
+        prune(config.maxJobs + 1);
+        pump();
+      });
+      active.add(running);
+    }
+  };
+
+  /**
+   * Queue a task
+   * @param {string} type - Job type, reported back with the job
+   * @param {Object} params - Job parameters, reported back with the job
+   * @param {Function} task - Async function producing the result
+   * @param {Object} hidden - Data passed to onFinish but never reported, such as a webhook URL (default: {})
+   * @returns {Object} - The queued job: { id, type, params, status, createdAt }
+   */
+  const submit = (type, params, task, hidden = {}) => {
+    if (closed) throw new Error('Job queue is closed');
+
+    const pending = waiting.length + active.size;
+    if (pending >= config.maxJobs) throw new Error(`Job queue is full (${config.maxJobs} jobs pending)`);
+    prune(config.maxJobs);
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      status: JobStatus.QUEUED,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      task,
+      hidden
+    };
+    jobs.set(job.id, job);
+    waiting.push(job);
+    pump();
+    return describe(job);
+  };
+
+  /**
+   * Look up a job
+   * @param {string} id - Job id from submit
+   * @param {boolean} withResult - Include the result once the job has finished (default: false)
+   * @returns {Object|null} - The job, or null when unknown or pruned
+   */
+  const get = (id, withResult = false) => {
+    const job = jobs.get(id);
+    return job ? describe(job, withResult) : null;
+  };
+
+  /**
+   * Cancel a job that has not started; running jobs cannot be interrupted
+   * @param {string} id - Job id from submit
+   * @returns {Object|null} - The cancelled job, or null when unknown or no longer queued
+   */
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    const index = waiting.indexOf(job);
+    if (!job || index < 0) return null;
+
+    waiting.splice(index, 1);
+    job.status = JobStatus.CANCELLED;
+    job.finishedAt = new Date().toISOString();
+    return describe(job);
+  };
+
+  const list = () => [...jobs.values()].map(job => describe(job));
+
+  const stats = () => ({
+    queued: waiting.length,
+    running: active.size,
+    finished: [...jobs.values()].filter(isFinished).length
+  });
+
+  /**
+   * Stop starting jobs and wait for the running ones; queued jobs are dropped
+   */
+  const close = async () => {
+    closed = true;
+    waiting.length = 0;
+    await Promise.allSettled([...active]);
+  };
+
+  return { submit, get, cancel, list, stats, close };
+}
+
+module.exports = { createJobQueue, JobStatus };
@@ -0,0 +1,290 @@
+const { scrapeLocalServices } = require('./scrapeLocal');
+const { extractSocialLinks } = require('./social_link_extractor');
+const { scrapeFacebookProfile } = require('./facebook_scraper');
+const { createBrowserPool } = require('./browser_pool');
+const { createNetworkPolicy } = require('./network_policy');
+const { mapWithConcurrency } = require('./concurrency');
+const { normalizePhone } = require('./contact_extractor');
+const { createResultStore } = require('./result_store');
+const { classifyError } = require('./scrape_errors');
+
+const Stages = {
+  LOCAL: 'local',
+  WEBSITE: 'website',
+  FACEBOOK: 'facebook'
+};
+
+// Google Local Services listing fields copied into the lead as-is
+const localFields = ['name', 'phone', 'category', 'address', 'website', 'rating', 'reviewCount', 'openStatus', 'hours'];
+
+// Facebook page fields, by the lead field they feed
+const facebookFieldMap = {
+  pageName: 'name',
+  phone: 'phone',
+  email: 'email',
+  address: 'address',
+  website: 'website',
+  category: 'category',
+  likesCount: 'facebookLikes',
+  followersCount: 'facebookFollowers',
+  instagram: 'instagram',
+  whatsapp: 'whatsapp'
+};
+
+// Scrapers report "not found" as null or an empty string
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Build the key two values of a field are compared by, so formatting differences are not conflicts
+ * @param {string} field - Lead field name
+ * @param {*} value - Field value
+ * @param {string} defaultCountry - ISO 3166 alpha-2 country for phone comparison
+ * @returns {string} - Comparison key
+ */
+function comparisonKey(field, value, defaultCountry) {
+  const text = String(value).trim();
+
+  if (field === 'phone') return normalizePhone(text, defaultCountry) || text.replace(/[^\d+]/g, '');
+  if (field === 'website') {
+    try {
+      const parsed = new URL(/^https?:\/\//i.test(text) ? text : `http://${text}`);
+      return parsed.hostname.replace(/^www\./i, '').toLowerCase() + parsed.pathname.replace(/\/+$/, '');
+    } catch (e) {
+      return text.toLowerCase();
+    }
+  }
+  return text.toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Record a lead field value with the stage and URL that supplied it
+ * Equal values (after normalization) are merged; different values are kept side by side.
+ * @param {Object} lead - Lead record, updated in place
+ * @param {string} field - Lead field name
+ * @param {*} value - Field value; missing values are ignored
+ * @param {string} stage - One of Stages
+ * @param {string} url - URL the value was found on
+ * @param {string} defaultCountry - ISO 3166 alpha-2 country for phone comparison
+ */
+function addFieldValue(lead, field, value, stage, url, defaultCountry) {
+  if (isMissing(value)) return;
+
+  const values = lead.fields[field] || (lead.fields[field] = []);
+  const key = comparisonKey(field, value, defaultCountry);
+  const existing = values.find(entry => comparisonKey(field, entry.value, defaultCountry) === key);
+  const source = { stage, url: url || null };
+
+  if (existing) {
+    if (!existing.sources.some(s => s.stage === stage && s.url === source.url)) existing.sources.push(source);
+    return;
+  }
+
+  values.push({ value, sources: [source] });
+  if (values.length === 2) lead.conflicts.push(field);
+}
+
+/**
+ * Run one business through the website and Facebook stages
+ * @param {Object} business - Listing from scrapeLocalServices
+ * @param {string} localUrl - Local Services URL the listing came from
+ * @param {Object} config - Pipeline config
+ * @returns {Promise<Object>} - Lead record
+ */
+async function enrichBusiness(business, localUrl, config) {
+  const lead = { name: isMissing(business.name) ? '' : business.name, fields: {}, conflicts: [], errors: [] };
+  const add = (field, value, stage, url) => addFieldValue(lead, field, value, stage, url, config.defaultCountry);
+  // Fresh stored results stand in for a scrape when the pipeline has a result store
+  const cached = (kind, input, scrape) => (config.store ? config.store.cached(kind, input, scrape) : scrape());
+
+  for (const field of localFields) {
+    add(field, business[field], Stages.LOCAL, localUrl);
+  }
+
+  // Website stage: social profiles, emails and phones published on the business site
+  let facebookUrl = '';
+  const website = isMissing(business.website) ? '' : business.website;
+  if (website && config.stages.includes(Stages.WEBSITE)) {
+    const social = await cached('social', website, () => extractSocialLinks(website, {
+      pool: config.pool,
+      crawl: config.crawl,
+      defaultCountry: config.defaultCountry,
+      artifacts: config.artifacts,
+      network: config.network,
+      sessionStore: config.sessionStore
+    }));
+
+    if (social.error) {
+      lead.errors.push({
+        stage: Stages.WEBSITE,
+        url: website,
+        error: social.error,
+        message: social.message,
+        ...(social.deferred && { deferred: true }),
+        ...(social.artifacts && { artifacts: social.artifacts })
+      });
+    } else {
+      for (const [platform, candidates] of Object.entries(social.candidates)) {
+        if (candidates[0]) add(platform, candidates[0].url, Stages.WEBSITE, candidates[0].foundOn);
+      }
+      add('contactPage', social.contact, Stages.WEBSITE, social.sources.contact);
+      for (const email of social.emails || []) add('email', email.value, Stages.WEBSITE, email.foundOn);
+      for (const phone of social.phones || []) add('phone', phone.value, Stages.WEBSITE, phone.foundOn);
+      facebookUrl = social.facebook;
+    }
+  }
+
+  // Facebook stage: contact details from the page the website links to
+  if (facebookUrl && config.stages.includes(Stages.FACEBOOK)) {
+    const profile = await cached('facebook', facebookUrl, () => scrapeFacebookProfile(facebookUrl, {
+      pool: config.pool,
+      artifacts: config.artifacts,
+      network: config.network,
+      sessionStore: config.sessionStore
+    }));
+
+    if (profile.error) {
+      lead.errors.push({
+        stage: Stages.FACEBOOK,
+        url: facebookUrl,
+        error: profile.error,
+        message: profile.message,
+        ...(profile.deferred && { deferred: true }),
+        ...(profile.artifacts && { artifacts: profile.artifacts })
+      });
+    } else {
+      for (const [profileField, leadField] of Object.entries(facebookFieldMap)) {
+        add(leadField, profile[profileField], Stages.FACEBOOK, facebookUrl);
+      }
+    }
+  }
+
+  return lead;
+}
+
+/**
+ * Search Google Local Services and enrich every business through its website and Facebook page
+ * @param {string} query - Search query, e.g. 'electrician in chicago'
+ * @param {Object} options - Configuration options
+ * @param {number} options.pages - Number of Local Services result pages to read (default: 1)
+ * @param {number} options.concurrency - Businesses enriched at once (default: 2)
+ * @param {string[]} options.stages - Stages to run after the local search (default: ['website', 'facebook'])
+ * @param {boolean} options.crawl - Crawl business websites beyond the landing page (default: false)
+ * @param {string} options.defaultCountry - ISO 3166 alpha-2 country for phone normalization (default: none)
+ * @param {Object} options.pool - Shared pool from createBrowserPool; one is created for the run when omitted (default: null)
+ * @param {string|Object} options.artifacts - Debug artifacts every stage captures, see artifacts.js (default: 'off')
+ * @param {Object} options.network - Policy from createNetworkPolicy; one without proxies is created for the run when omitted (default: null)
+ * @param {Object} options.sessionStore - Store from createSessionStore shared by every stage (default: null)
+ * @param {Object} options.store - Store from createResultStore; records every listing and serves fresh website and
+ *   Facebook results instead of scraping them again (default: null)
+ * @returns {Promise<Object>} - { query, leads, errors } where each lead lists every value with its stage and URL;
+ *   a business whose enrichment throws keeps its listing fields and gets an error with stage 'enrich'
+ */
+async function enrichLeads(query, options = {}) {
+  const config = {
+    pages: 1,
+    concurrency: 2,
+    stages: [Stages.WEBSITE, Stages.FACEBOOK],
+    crawl: false,
+    defaultCountry: '',
+    pool: null,
+    artifacts: 'off',
+    network: null,
+    sessionStore: null,
+    store: null,
+    ...options
+  };
+
+  const ownPool = !config.pool;
+  const pool = config.pool || createBrowserPool({ maxPages: config.concurrency });
+  const network = config.network || createNetworkPolicy();
+  const errors = [];
+  const listings = [];
+
+  try {
+    for (let page = 1; page <= config.pages; page++) {
+      console.log(`Lead pipeline: local search "${query}" page ${page}`);
+      let result;
+      try {
+        result = await scrapeLocalServices(query, page, {
+          pool,
+          artifacts: config.artifacts,
+          network,
+          sessionStore: config.sessionStore
+        });
+      } catch (error) {
+        // Usage errors and browser crashes end the search like a failed page, keeping the listings read so far
+        const classified = classifyError(error, query);
+        errors.push({ stage: Stages.LOCAL, page, error: classified.code, message: classified.message });
+        break;
+      }
+
+      if (result.error) {
+        errors.push({
+          stage: Stages.LOCAL,
+          page,
+          error: result.error,
+          message: result.message || '',
+          ...(result.deferred && { deferred: true }),
+          ...(result.artifacts && { artifacts: result.artifacts })
+        });
+        break;
+      }
+
+      for (const business of result.data) {
+        listings.push({ business, url: result.url });
+        if (config.store) config.store.save('local', business, business);
+      }
+      if (!result.data.length) break;
+    }
+
+    const leads = await mapWithConcurrency(listings, config.concurrency, async ({ business, url }) => {
+      console.log(`Lead pipeline: enriching ${business.name}`);
+      try {
+        return await enrichBusiness(business, url, { ...config, pool, network });
+      } catch (error) {
+        // One business failing must not lose the others: keep its listing fields and record what went wrong
+        console.error(`❌ Lead pipeline: enriching ${business.name} failed:`, error.message);
+        const lead = await enrichBusiness(business, url, { ...config, stages: [] });
+        const classified = classifyError(error, url);
+        lead.errors.push({ stage: 'enrich', error: classified.code, message: classified.message });
+        return lead;
+      }
+    });
+
+    return { query, leads, errors };
+  } finally {
+    if (ownPool) await pool.close();
+  }
+}
+
+// Example usage
+async function main() {
+  const args = process.argv.slice(2);
+  const pagesIndex = args.indexOf('--pages');
+  const pages = pagesIndex === -1 ? 1 : parseInt(args.splice(pagesIndex, 2)[1], 10) || 1;
+  const cacheIndex = args.indexOf('--cache-dir');
+  const cacheDir = cacheIndex === -1 ? '' : args.splice(cacheIndex, 2)[1];
+  const crawl = args.includes('--crawl');
+  const query = args.filter(arg => !arg.startsWith('--')).join(' ');
+
+  if (!query) {
+    console.log('Usage: node lead_pipeline.js "<search query>" [--pages 1] [--crawl] [--cache-dir results]');
+    process.exit(1);
+  }
+
+  const result = await enrichLeads(query, {
+    pages,
+    crawl,
+    store: cacheDir ? createResultStore({ dir: cacheDir }) : null
+  });
+
+  console.log('\nResults:');
+  console.log(JSON.stringify(result, null, 2));
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = { enrichLeads, enrichBusiness, Stages };
@@ -0,0 +1,234 @@
+/**
+ * A Google Local Services listing, with null for every value that was not found
+ * @typedef {Object} LocalBusiness
+ * @property {string|null} name - Business name
+ * @property {string|null} phone - Phone number as displayed
+ * @property {string|null} category - Service category, e.g. "Electrician"
+ * @property {string|null} address - Street address or service area, e.g. "Chicago, IL"
+ * @property {string|null} website - Business website URL
+ * @property {number|null} rating - Average rating from 0 to 5
+ * @property {number|null} reviewCount - Number of reviews
+ * @property {string|null} openStatus - 'open', 'closed', 'opens_soon', 'closes_soon' or 'open_24_hours'
+ * @property {string|null} hours - Opening hours text, e.g. "Closes 6 PM"
+ * @property {number|null} yearsInBusiness - Years in business, when shown
+ * @property {number} page - Results page the listing was on
+ * @property {string} keyword - Search query that returned the listing
+ * @property {Array<{field: string, issue: string}>} issues - Validation findings, see validateLocalBusiness
+ */
+
+const phonePattern = /^\+?[\d\s().-]{7,}$/;
+const hoursPattern = /\b(?:open|opens|closed|closes|hours)\b/i;
+const yearsPattern = /(\d+)\+?\s*years?\s+in\s+business/i;
+const streetSuffixes = /\b(?:st|street|ave|avenue|rd|road|blvd|boulevard|dr|drive|ln|lane|way|ct|court|pl|place|pkwy|parkway|hwy|highway|suite|ste|unit|floor)\b\.?/i;
+const regionPattern = /,\s*[A-Z]{2}(?:\s+\d{5}(?:-\d{4})?)?$/;
+const postalPattern = /\b\d{5}(?:-\d{4})?\b|\b[A-Z]\d[A-Z]\s?\d[A-Z]\d\b|\b[A-Z]{1,2}\d[A-Z\d]?\s?\d[A-Z]{2}\b/;
+
+// A run of digits and phone separators anywhere in a text, and a house number followed by a street name
+const embeddedPhonePattern = /\+?\(?\d[\d\s().-]{5,}\d/g;
+const streetNumberPattern = /(?:^|[\s,])\d+[A-Za-z]?\s+[A-Za-z]/;
+
+/**
+ * Count the digits in a string
+ * @param {string} text - Text to inspect
+ * @returns {number}
+ */
+function digitCount(text) {
+  return (text.match(/\d/g) || []).length;
+}
+
+/**
+ * Whether a text holds a phone number somewhere in it, such as "Acme Electric (312) 555-0100"
+ * Runs of digits that are postal codes ("60601-1234") do not count.
+ * @param {string} text - Text to inspect
+ * @returns {boolean}
+ */
+function containsPhone(text) {
+  return (text.match(embeddedPhonePattern) || [])
+    .some(run => digitCount(run) >= 7 && !/^\d{5}-\d{4}$/.test(run.trim()));
+}
+
+/**
+ * Whether two field values hold the same text, ignoring case, spacing and punctuation
+ * @param {string|null} a - First value
+ * @param {string|null} b - Second value
+ * @returns {boolean}
+ */
+function sameText(a, b) {
+  const normalize = (value) => (value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return Boolean(normalize(a)) && normalize(a) === normalize(b);
+}
+
+/**
+ * Decide what a listing detail span contains from its text alone
+ * @param {string} text - Span text
+ * @returns {string} - 'phone', 'hours', 'years', 'address', 'category' or 'empty'
+ */
+function classifySpan(text) {
+  const value = (text || '').trim();
+  if (!value) return 'empty';
+  if (phonePattern.test(value) && digitCount(value) >= 7) return 'phone';
+  if (yearsPattern.test(value)) return 'years';
+  if (hoursPattern.test(value)) return 'hours';
+  if (streetSuffixes.test(value) && /\d/.test(value)) return 'address';
+  if (regionPattern.test(value) || postalPattern.test(value)) return 'address';
+  return 'category';
+}
+
+/**
+ * Parse a rating such as "4.8" or "4,8"
+ * @param {string} text - Rating text
+ * @returns {number|null} - Rating between 0 and 5, or null
+ */
+function parseRating(text) {
+  const match = (text || '').match(/\d+(?:[.,]\d+)?/);
+  if (!match) return null;
+  const rating = parseFloat(match[0].replace(',', '.'));
+  return rating >= 0 && rating <= 5 ? rating : null;
+}
+
+/**
+ * Parse a review count such as "(123)", "1,204" or "1.2K"
+ * @param {string} text - Review count text
+ * @returns {number|null} - Number of reviews, or null
+ */
+function parseReviewCount(text) {
+  const match = (text || '').replace(/[()]/g, '').match(/(\d[\d,.]*)\s*([KkMm])?/);
+  if (!match) return null;
+
+  const [, number, suffix] = match;
+  if (suffix) {
+    const multiplier = suffix.toLowerCase() === 'k' ? 1e3 : 1e6;
+    return Math.round(parseFloat(number.replace(',', '.')) * multiplier);
+  }
+  return parseInt(number.replace(/[,.]/g, ''), 10);
+}
+
+/**
+ * Split an opening-hours span into a status and the hours text
+ * @param {string} text - Span text, e.g. "Open · Closes 6 PM" or "Closed · Opens 8 AM Mon"
+ * @returns {Object} - { openStatus, hours }
+ */
+function parseOpenStatus(text) {
+  const value = (text || '').trim();
+  const lower = value.toLowerCase();
+  let openStatus = null;
+
+  if (/open 24 hours/.test(lower)) openStatus = 'open_24_hours';
+  else if (/closes soon/.test(lower)) openStatus = 'closes_soon';
+  else if (/opens soon/.test(lower)) openStatus = 'opens_soon';
+  else if (/^closed|\bclosed\b/.test(lower)) openStatus = 'closed';
+  else if (/^open\b|\bopen now\b/.test(lower)) openStatus = 'open';
+
+  // Keep the schedule part ("Closes 6 PM") without the status word before the separator
+  const hours = value.split(/\s*[·⋅•]\s*/).filter(part => !/^(?:open|closed|open now)$/i.test(part)).join(' · ');
+  return { openStatus, hours: hours || null };
+}
+
+/**
+ * Build a typed LocalBusiness from the raw text scraped for one listing
+ * @param {Object} raw - Raw listing text
+ * @param {string} raw.name - Name text
+ * @param {string} raw.website - Website href
+ * @param {string[]} raw.details - Texts of the listing detail spans, in page order
+ * @param {string} raw.ratingText - Rating text
+ * @param {string} raw.reviewsText - Review count text
+ * @param {number} raw.page - Results page number
+ * @param {string} raw.keyword - Search query
+ * @returns {LocalBusiness}
+ */
+function buildLocalBusiness(raw) {
+  const business = {
+    name: (raw.name || '').trim() || null,
+    phone: null,
+    category: null,
+    address: null,
+    website: (raw.website || '').trim() || null,
+    rating: parseRating(raw.ratingText),
+    reviewCount: parseReviewCount(raw.reviewsText),
+    openStatus: null,
+    hours: null,
+    yearsInBusiness: null,
+    page: raw.page,
+    keyword: raw.keyword
+  };
+
+  for (const text of raw.details || []) {
+    const value = text.trim();
+    switch (classifySpan(value)) {
+      case 'phone':
+        business.phone = business.phone || value;
+        break;
+      case 'hours':
+        if (!business.openStatus && !business.hours) Object.assign(business, parseOpenStatus(value));
+        break;
+      case 'years':
+        business.yearsInBusiness = business.yearsInBusiness || parseInt(value.match(yearsPattern)[1], 10);
+        break;
+      case 'address':
+        business.address = business.address || value;
+        break;
+      case 'category':
+        business.category = business.category || value;
+        break;
+      default:
+        break;
+    }
+  }
+
+  business.issues = validateLocalBusiness(business);
+  return business;
+}
+
+/**
+ * Flag fields whose content looks like it belongs to another field
+ * The checks do not reuse classifySpan, which buildLocalBusiness already sorted the spans with: a value it put in the
+ * wrong field would pass it again. They look for what a field should never hold instead, such as a phone number
+ * inside a name or category, or a category that repeats the address.
+ * @param {LocalBusiness} business - Listing to check
+ * @returns {Array<{field: string, issue: string}>} - Empty when the listing looks consistent
+ */
+function validateLocalBusiness(business) {
+  const issues = [];
+  const flag = (field, issue) => issues.push({ field, issue });
+
+  if (!business.name) flag('name', 'missing');
+  else if (containsPhone(business.name)) flag('name', 'contains a phone number');
+  else if (sameText(business.name, business.address)) flag('name', 'same as the address');
+
+  if (business.phone) {
+    // E.164 numbers have at most 15 digits; more means several numbers or other text ran together
+    const digits = digitCount(business.phone);
+    if (digits < 7 || digits > 15) flag('phone', 'does not look like a phone number');
+  }
+
+  if (business.address) {
+    if (containsPhone(business.address)) flag('address', 'contains a phone number');
+    else if (hoursPattern.test(business.address)) flag('address', 'looks like opening hours');
+    else if (!streetNumberPattern.test(business.address) && !regionPattern.test(business.address) &&
+      !postalPattern.test(business.address)) {
+      flag('address', 'has no street number, region or postal code');
+    }
+  }
+
+  if (business.category) {
+    if (containsPhone(business.category)) flag('category', 'contains a phone number');
+    else if (sameText(business.category, business.address)) flag('category', 'same as the address');
+    else if (sameText(business.category, business.phone)) flag('category', 'same as the phone number');
+  }
+
+  if (business.website && !/^https?:\/\//i.test(business.website)) flag('website', 'not an absolute URL');
+  if (business.rating !== null && (business.rating < 0 || business.rating > 5)) flag('rating', 'out of range');
+  if (business.reviewCount !== null && business.reviewCount < 0) flag('reviewCount', 'negative');
+  if (business.rating === null && business.reviewCount) flag('rating', 'missing although reviews exist');
+
+  return issues;
+}
+
+module.exports = {
+  buildLocalBusiness,
+  validateLocalBusiness,
+  classifySpan,
+  parseRating,
+  parseReviewCount,
+  parseOpenStatus
+};
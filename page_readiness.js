@@ -0,0 +1,101 @@
+/**
+ * Milliseconds left before a deadline
+ * @param {number} deadline - Absolute deadline as a Date.now() timestamp
+ * @returns {number} - Remaining time, never negative
+ */
+function remainingTime(deadline) {
+  return Math.max(0, deadline - Date.now());
+}
+
+/**
+ * Cap a Playwright timeout by a deadline
+ * Playwright treats a timeout of 0 as "no timeout", so the result is never below 1ms.
+ * @param {number} timeout - Timeout for a single operation in milliseconds
+ * @param {number} deadline - Absolute deadline as a Date.now() timestamp
+ * @returns {number} - Timeout to pass to Playwright
+ */
+function boundedTimeout(timeout, deadline) {
+  return Math.max(1, Math.min(timeout, remainingTime(deadline)));
+}
+
+/**
+ * Wait until the DOM stops changing for a quiet period
+ * @param {Object} page - Playwright page
+ * @param {number} quietPeriod - Milliseconds without mutations that count as settled
+ * @param {number} timeout - Maximum time to wait in milliseconds
+ * @returns {Promise<boolean>} - Whether the DOM settled before the timeout
+ */
+async function waitForDomSettled(page, quietPeriod, timeout) {
+  if (timeout <= 0) return false;
+
+  return page.evaluate(({ quietPeriod, timeout }) => new Promise(resolve => {
+    let quietTimer;
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(done, quietPeriod, true);
+    });
+    const hardTimer = setTimeout(done, timeout, false);
+
+    function done(settled) {
+      observer.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(hardTimer);
+      resolve(settled);
+    }
+
+    observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+    quietTimer = setTimeout(done, quietPeriod, true);
+  }), { quietPeriod, timeout });
+}
+
+/**
+ * Wait for a page to be ready for extraction: network idle, DOM settled and, optionally, a selector present
+ * Each step is bounded by the overall deadline; a step that runs out of time is skipped, not fatal.
+ * @param {Object} page - Playwright page
+ * @param {Object} options - Configuration options
+ * @param {number} options.deadline - Absolute deadline as a Date.now() timestamp
+ * @param {string} options.selector - Selector that must be attached before the page counts as ready (default: none)
+ * @param {number} options.networkIdleTimeout - Maximum wait for network idle in milliseconds (default: 5000)
+ * @param {number} options.quietPeriod - Milliseconds without DOM mutations that count as settled (default: 500)
+ * @param {number} options.settleTimeout - Maximum wait for the DOM to settle in milliseconds (default: 5000)
+ * @returns {Promise<Object>} - { networkIdle, domSettled, selectorFound } flags
+ */
+async function waitForReady(page, options) {
+  const config = {
+    selector: '',
+    networkIdleTimeout: 5000,
+    quietPeriod: 500,
+    settleTimeout: 5000,
+    ...options
+  };
+  const state = { networkIdle: false, domSettled: false, selectorFound: false };
+
+  // Pages with analytics beacons or long polling never go idle, so this is capped separately
+  try {
+    await page.waitForLoadState('networkidle', { timeout: boundedTimeout(config.networkIdleTimeout, config.deadline) });
+    state.networkIdle = true;
+  } catch (e) {
+    // Not idle in time; continue with whatever has loaded
+  }
+
+  // Carousels and tickers mutate forever, so this is capped separately too
+  try {
+    const timeout = Math.min(config.settleTimeout, remainingTime(config.deadline));
+    state.domSettled = await waitForDomSettled(page, config.quietPeriod, timeout);
+  } catch (e) {
+    // The page navigated while observing; the next step waits on the new document
+  }
+
+  if (config.selector && remainingTime(config.deadline) > 0) {
+    try {
+      await page.waitForSelector(config.selector, { state: 'attached', timeout: boundedTimeout(Infinity, config.deadline) });
+      state.selectorFound = true;
+    } catch (e) {
+      // Selector never appeared before the deadline
+    }
+  }
+
+  return state;
+}
+
+module.exports = { waitForReady, waitForDomSettled, remainingTime, boundedTimeout };
@@ -0,0 +1,336 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const { siteKey } = require('./session_store');
+const { businessKey } = require('./scrapeLocal');
+const { defaultPlatforms, normalizeProfileUrl } = require('./social_platforms');
+
+/**
+ * What the store keeps results of, and how each is identified
+ * social: website results of extractSocialLinks, keyed by normalized domain
+ * facebook: scrapeFacebookProfile results, keyed by canonical page URL
+ * local: LocalBusiness records, keyed by name + phone + address (see businessKey)
+ */
+const storeKinds = {
+  social: (input) => siteKey(input),
+  facebook: (input) => {
+    const facebook = defaultPlatforms.find(platform => platform.name === 'facebook');
+    const url = normalizeProfileUrl(facebook, input) || input.trim();
+    return url.replace(/^https?:\/\/(?:www\.)?/i, '').toLowerCase();
+  },
+  local: (input) => (typeof input === 'string' ? input : businessKey(input))
+};
+
+// Bookkeeping fields that change on every run without the business changing
+const defaultIgnoredFields = ['sources', 'candidates', 'artifacts', 'fetchMode', 'cachedAt', 'issues', 'page', 'keyword', 'queries'];
+
+const durationUnits = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration such as "90s", "30m", "24h" or "7d"; a bare number is milliseconds
+ * @param {string|number} text - Duration
+ * @returns {number} - Milliseconds
+ * @throws {TypeError} - When the duration cannot be parsed
+ */
+function parseDuration(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/i);
+  if (!match) throw new TypeError(`Invalid duration: "${text}" (expected e.g. 30m, 24h or 7d)`);
+  return Math.round(parseFloat(match[1]) * durationUnits[(match[2] || 'ms').toLowerCase()]);
+}
+
+/**
+ * Flatten a result into comparable fields: nested objects become dotted paths, lists become sets of values
+ * Lists of objects are compared by their value or url (emails, phones, candidates), falling back to the whole item.
+ * @param {*} value - Result or part of one
+ * @param {string} prefix - Path so far
+ * @param {Object} fields - Path -> scalar or array of scalars, filled in
+ * @param {string[]} ignore - Top-level fields skipped
+ * @returns {Object} - fields
+ */
+function flattenResult(value, prefix = '', fields = {}, ignore = []) {
+  if (value === null || value === undefined || value === '') return fields;
+
+  if (Array.isArray(value)) {
+    const items = value
+      .map(item => (item && typeof item === 'object' ? item.value || item.url || JSON.stringify(item) : item))
+      .filter(item => item !== null && item !== undefined && item !== '');
+    if (items.length) fields[prefix] = [...new Set(items)];
+  } else if (typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (!prefix && ignore.includes(key)) continue;
+      flattenResult(child, prefix ? `${prefix}.${key}` : key, fields, ignore);
+    }
+  } else {
+    fields[prefix] = value;
+  }
+  return fields;
+}
+
+/**
+ * Compare two results of the same business
+ * Empty values count as missing, so a field going from '' to a URL is reported as added.
+ * @param {Object} before - Older result
+ * @param {Object} after - Newer result
+ * @param {Object} options - Configuration options
+ * @param {string[]} options.ignore - Top-level fields not compared (default: sources, candidates, artifacts, ...)
+ * @returns {Object[]} - Changes: { field, change: 'added'|'removed'|'changed', before, after }, plus delta for numbers;
+ *   list fields report one change per value added or removed
+ */
+function diffResults(before, after, options = {}) {
+  const config = {
+    ignore: defaultIgnoredFields,
+    ...options
+  };
+  const old = flattenResult(before || {}, '', {}, config.ignore);
+  const current = flattenResult(after || {}, '', {}, config.ignore);
+  const changes = [];
+
+  for (const field of [...new Set([...Object.keys(old), ...Object.keys(current)])].sort()) {
+    const was = old[field];
+    const now = current[field];
+
+    if (Array.isArray(was) || Array.isArray(now)) {
+      const wasItems = [].concat(was === undefined ? [] : was);
+      const nowItems = [].concat(now === undefined ? [] : now);
+      for (const item of nowItems) {
+        if (!wasItems.includes(item)) changes.push({ field, change: 'added', before: null, after: item });
+      }
+      for (const item of wasItems) {
+        if (!nowItems.includes(item)) changes.push({ field, change: 'removed', before: item, after: null });
+      }
+    } else if (was === undefined) {
+      changes.push({ field, change: 'added', before: null, after: now });
+    } else if (now === undefined) {
+      changes.push({ field, change: 'removed', before: was, after: null });
+    } else if (was !== now) {
+      const change = { field, change: 'changed', before: was, after: now };
+      if (typeof was === 'number' && typeof now === 'number') change.delta = now - was;
+      changes.push(change);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Format a change from diffResults as one line, e.g. "~ followersCount: 1500 -> 1620 (+120)"
+ * @param {Object} change - Change from diffResults
+ * @returns {string}
+ */
+function formatChange(change) {
+  if (change.change === 'added') return `+ ${change.field}: ${change.after}`;
+  if (change.change === 'removed') return `- ${change.field}: ${change.before}`;
+  const delta = change.delta === undefined ? '' : ` (${change.delta > 0 ? '+' : ''}${change.delta})`;
+  return `~ ${change.field}: ${change.before} -> ${change.after}${delta}`;
+}
+
+/**
+ * Create a file-based store of scraper results with timestamped snapshots per business
+ * Each business has one JSON file under <dir>/<kind>/. A run that finds the same data as the latest snapshot only
+ * updates its checkedAt, so the history lists actual changes; errors are never stored.
+ * @param {Object} options - Configuration options
+ * @param {string} options.dir - Directory holding the store (default: 'results')
+ * @param {number} options.ttl - Age in milliseconds below which a stored result is served instead of scraping (default: 24 hours)
+ * @param {number} options.maxSnapshots - Snapshots kept per business, oldest dropped first (default: 50)
+ * @returns {Object} - Store with keyFor, save, latest, fresh, cached, history, diff, keys and recordPath
+ */
+function createResultStore(options = {}) {
+  const config = {
+    dir: 'results',
+    ttl: 24 * 60 * 60 * 1000,
+    maxSnapshots: 50,
+    ...options
+  };
+
+  const keyFor = (kind, input) => {
+    if (!storeKinds[kind]) throw new TypeError(`Unknown result kind: ${kind} (expected ${Object.keys(storeKinds).join(', ')})`);
+    return storeKinds[kind](input);
+  };
+
+  const recordPath = (kind, key) => {
+    const slug = key.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+    const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 10);
+    return path.join(config.dir, kind, `${slug || 'entry'}-${hash}.json`);
+  };
+
+  const readRecord = (kind, key) => {
+    try {
+      return JSON.parse(fs.readFileSync(recordPath(kind, key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const writeRecord = (kind, record) => {
+    const file = recordPath(kind, record.key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    // Write then rename, so an interrupted run never leaves a truncated history
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(record, null, 2) + '\n');
+    fs.renameSync(`${file}.tmp`, file);
+  };
+
+  /**
+   * Store a result as the latest snapshot
+   * @param {string} kind - 'social', 'facebook' or 'local'
+   * @param {string|Object} input - Website, Facebook URL or LocalBusiness
+   * @param {Object} result - Scraper result
+   * @returns {Object|null} - { snapshot, changes } where changes compares with the previous snapshot, or null for
+   *   error results and inputs without a key
+   */
+  const save = (kind, input, result) => {
+    const key = keyFor(kind, input);
+    if (!key || !result || result.error) return null;
+
+    const { artifacts, cachedAt, ...data } = result;
+    const now = new Date().toISOString();
+    const record = readRecord(kind, key) || { kind, key, snapshots: [] };
+    const previous = record.snapshots[record.snapshots.length - 1];
+    const changes = previous ? diffResults(previous.result, data) : [];
+
+    if (previous && !changes.length) {
+      previous.checkedAt = now;
+    } else {
+      record.snapshots.push({ at: now, checkedAt: now, result: data });
+      record.snapshots = record.snapshots.slice(-config.maxSnapshots);
+    }
+    writeRecord(kind, record);
+
+    return { snapshot: record.snapshots[record.snapshots.length - 1], changes };
+  };
+
+  const history = (kind, input) => {
+    const record = readRecord(kind, keyFor(kind, input));
+    return record ? record.snapshots : [];
+  };
+
+  const latest = (kind, input) => {
+    const snapshots = history(kind, input);
+    return snapshots[snapshots.length - 1] || null;
+  };
+
+  /**
+   * The latest snapshot if it was confirmed within the TTL
+   * @param {string} kind - Result kind
+   * @param {string|Object} input - Website, Facebook URL or LocalBusiness
+   * @param {number} ttl - Maximum age in milliseconds (default: the store's ttl)
+   * @returns {Object|null} - { at, checkedAt, result }
+   */
+  const fresh = (kind, input, ttl = config.ttl) => {
+    const snapshot = latest(kind, input);
+    return snapshot && Date.now() - Date.parse(snapshot.checkedAt) < ttl ? snapshot : null;
+  };
+
+  /**
+   * Serve a fresh stored result, or run the scraper and store what it returns
+   * @param {string} kind - Result kind
+   * @param {string|Object} input - Website, Facebook URL or LocalBusiness
+   * @param {Function} run - Async function returning the scraper result
+   * @param {Object} options - Configuration options
+   * @param {boolean} options.refresh - Scrape even when a fresh result is stored (default: false)
+   * @returns {Promise<Object>} - The result; cachedAt is set to the snapshot's checkedAt when it came from the store
+   */
+  const cached = async (kind, input, run, { refresh = false } = {}) => {
+    const hit = !refresh && keyFor(kind, input) ? fresh(kind, input) : null;
+    if (hit) return { ...hit.result, cachedAt: hit.checkedAt };
+
+    const result = await run();
+    save(kind, input, result);
+    return result;
+  };
+
+  /**
+   * Changes between two snapshots of a business, by default the two latest
+   * @param {string} kind - Result kind
+   * @param {string|Object} input - Website, Facebook URL or LocalBusiness
+   * @param {Object} options - Configuration options
+   * @param {number} options.from - Snapshot index; negative counts from the end (default: -2)
+   * @param {number} options.to - Snapshot index; negative counts from the end (default: -1)
+   * @returns {Object|null} - { key, from, to, changes } with the snapshot timestamps, or null without two snapshots
+   */
+  const diff = (kind, input, { from = -2, to = -1 } = {}) => {
+    const snapshots = history(kind, input);
+    const before = snapshots.at(from);
+    const after = snapshots.at(to);
+    if (!before || !after || before === after) return null;
+    return { key: keyFor(kind, input), from: before.at, to: after.at, changes: diffResults(before.result, after.result) };
+  };
+
+  // Every key stored for a kind
+  const keys = (kind) => {
+    const dir = path.join(config.dir, kind);
+    if (!storeKinds[kind] || !fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')).key);
+  };
+
+  return { keyFor, save, latest, fresh, cached, history, diff, keys, recordPath };
+}
+
+// Command-line entry point
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      dir: { type: 'string', short: 'd', default: 'results' },
+      from: { type: 'string', default: '-2' },
+      to: { type: 'string', default: '-1' },
+      json: { type: 'boolean', default: false }
+    }
+  });
+  const [command, kind, input] = positionals;
+
+  if (!['diff', 'history', 'list'].includes(command) || !storeKinds[kind] || (command === 'history' && !input)) {
+    console.log('Usage: node result_store.js diff <social|facebook|local> [input] [--from -2] [--to -1] [--dir results] [--json]');
+    console.log('       node result_store.js history <social|facebook|local> <input> [--dir results]');
+    console.log('       node result_store.js list <social|facebook|local> [--dir results]');
+    console.log('Input is a website, a Facebook URL or a stored local business key; diff without one covers every entry.');
+    process.exit(1);
+  }
+
+  const store = createResultStore({ dir: values.dir });
+
+  if (command === 'list') {
+    for (const key of store.keys(kind)) console.log(key);
+    return;
+  }
+
+  if (command === 'history') {
+    const snapshots = store.history(kind, input);
+    if (!snapshots.length) console.log(`No stored results for ${store.keyFor(kind, input)}`);
+    snapshots.forEach((snapshot, index) => {
+      console.log(`#${index} ${snapshot.at} (last confirmed ${snapshot.checkedAt})`);
+      if (index > 0) {
+        for (const change of diffResults(snapshots[index - 1].result, snapshot.result)) console.log(`   ${formatChange(change)}`);
+      }
+    });
+    return;
+  }
+
+  const range = { from: parseInt(values.from, 10), to: parseInt(values.to, 10) };
+  const reports = (input ? [input] : store.keys(kind))
+    .map(key => store.diff(kind, key, range))
+    .filter(report => report && report.changes.length);
+
+  if (values.json) {
+    console.log(JSON.stringify(reports, null, 2));
+    return;
+  }
+  if (!reports.length) console.log('No changes');
+  for (const report of reports) {
+    console.log(`\n🔍 ${report.key} (${report.from} -> ${report.to})`);
+    for (const change of report.changes) console.log(`   ${formatChange(change)}`);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { createResultStore, diffResults, formatChange, parseDuration, storeKinds };
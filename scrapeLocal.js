@@ -1,28 +1,139 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
 const { chromium } = require('playwright');
-const readline = require('readline');
+const { openPage, createBrowserPool } = require('./browser_pool');
+const { buildLocalBusiness } = require('./local_result_schema');
+const { loadSelectorProfile, resolveField, resolveElements, createSelectorStats, writeDriftReport } = require('./selector_profiles');
+const { createArtifactRecorder } = require('./artifacts');
+const { createNetworkPolicy, acquireSession, readProxyList } = require('./network_policy');
+const { ErrorCodes, classifyError, errorResult } = require('./scrape_errors');
+const { assertNotBlocked, retryWhenBlocked } = require('./block_detector');
+const { dismissConsent } = require('./consent');
 
-async function scrapeLocalServices(query, page = 1) {
-    const browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext();
-    const pageObj = await context.newPage();
+// Fields scrapeResultsPage reads from the google_local selector profile
+const profileFields = ['listing', 'sponsored', 'name', 'website', 'details', 'rating', 'reviews', 'total'];
 
+// Google Local Services shows 20 listings per page; the lci parameter is the listing offset
+const resultsPerPage = 20;
+
+/**
+ * Scrape one page of Google Local Services results
+ * @param {string} query - Search query, e.g. 'electrician in chicago'
+ * @param {number} page - Results page number (default: 1)
+ * @param {Object} options - Configuration options
+ * @param {Object} options.pool - Shared pool from createBrowserPool; a browser is launched per call when omitted (default: null)
+ * @param {string} options.baseUrl - Local Services result list URL, e.g. a local stand-in server (default: 'https://www.google.com/localservices/prolist')
+ * @param {string|Object} options.selectorProfile - Selector profile name, JSON path or object (default: 'google_local')
+ * @param {Object} options.selectorStats - Collector from createSelectorStats for drift reports (default: null)
+ * @param {string|Object} options.artifacts - Debug artifacts to capture, see artifacts.js (default: 'off')
+ * @param {Object} options.network - Policy from createNetworkPolicy for proxies, pacing and fingerprints (default: null, direct)
+ * @param {number} options.blockRetries - Attempts after a captcha, consent page or rate limit, see retryWhenBlocked (default: 1)
+ * @param {number} options.blockBackoff - Wait before the first retry in milliseconds, doubled on each one (default: 15000)
+ * @param {Object} options.sessionStore - Store from createSessionStore to reuse and save Google's cookies (default: null)
+ * @param {boolean} options.dismissConsent - Get past Google's consent page before reading results (default: true)
+ * @returns {Promise<Object>} - { data, total, url } where data holds LocalBusiness records, or { error, message, status, url, deferred }
+ *   when Google blocked the request; artifacts holds the paths of any captured files, and is also set on errors thrown
+ */
+async function scrapeLocalServices(query, page = 1, options = {}) {
+    const config = {
+        pool: null,
+        baseUrl: 'https://www.google.com/localservices/prolist',
+        selectorProfile: 'google_local',
+        selectorStats: null,
+        artifacts: 'off',
+        network: null,
+        blockRetries: 1,
+        blockBackoff: 15000,
+        sessionStore: null,
+        dismissConsent: true,
+        ...options
+    };
+    const profile = loadSelectorProfile(config.selectorProfile, profileFields);
+
+    return retryWhenBlocked(() => scrapeLocalAttempt(query, page, profile, config), {
+        retries: config.blockRetries,
+        backoff: config.blockBackoff,
+        label: `"${query}" page ${page}`
+    });
+}
+
+/**
+ * Scrape one results page once with a fresh session
+ * @param {string} query - Search query
+ * @param {number} page - Results page number
+ * @param {Object} profile - Selector profile from loadSelectorProfile
+ * @param {Object} config - Options as resolved by scrapeLocalServices
+ * @returns {Promise<Object>} - Result of scrapeResultsPage, with artifacts when captured
+ */
+async function scrapeLocalAttempt(query, page, profile, config) {
+    const recorder = createArtifactRecorder(config.artifacts, `${query}_page${page}`);
+
+    const session = await acquireSession(config.network, config.baseUrl);
+
+    let opened;
+    try {
+        opened = await openPage(config.pool, {
+            browserType: chromium,
+            launchOptions: { headless: true },
+            contextOptions: {
+                ...session.contextOptions,
+                ...(config.sessionStore && config.sessionStore.contextOptions(config.baseUrl)),
+                ...recorder.contextOptions
+            },
+            dedicatedContext: recorder.dedicatedContext
+        });
+    } catch (error) {
+        session.release(ErrorCodes.UNKNOWN);
+        throw error;
+    }
+    const { page: pageObj, close } = opened;
+    await recorder.start(pageObj);
+
+    let result;
+    try {
+        result = await scrapeResultsPage(pageObj, query, page, {
+            baseUrl: config.baseUrl,
+            profile,
+            selectorStats: config.selectorStats,
+            dismissConsent: config.dismissConsent
+        });
+        if (config.sessionStore && !result.error) await config.sessionStore.save(pageObj, config.baseUrl);
+    } catch (error) {
+        const artifacts = await recorder.finish(pageObj, true, close);
+        session.release(classifyError(error, config.baseUrl).code);
+        if (artifacts) error.artifacts = artifacts;
+        throw error;
+    }
+
+    const artifacts = await recorder.finish(pageObj, Boolean(result.error), close);
+    session.release(result.error || '');
+    return artifacts ? { ...result, artifacts } : result;
+}
+
+/**
+ * Load a Local Services results page in an open browser page and parse its listings
+ * @param {Object} pageObj - Playwright page
+ * @param {string} query - Search query
+ * @param {number} page - Results page number
+ * @param {Object} options - { baseUrl, profile, selectorStats, dismissConsent } as prepared by scrapeLocalServices
+ * @returns {Promise<Object>} - { data, total, url } or an error result when the request was blocked
+ */
+async function scrapeResultsPage(pageObj, query, page, options) {
     const encodedQuery = encodeURIComponent(query);
-    let url = `https://www.google.com/localservices/prolist?g2lbs=AOHF13l1nKXJyeo2Y1vrUsqbzm7nMGGqt9wU47bg_QV2aChhU80cGr1gmgxzmXE3Ica0abC84lU7&ssta=1&q=${encodedQuery}&oq=${encodedQuery}&src=2&serdesk=1`;
+    let url = `${options.baseUrl}?g2lbs=AOHF13l1nKXJyeo2Y1vrUsqbzm7nMGGqt9wU47bg_QV2aChhU80cGr1gmgxzmXE3Ica0abC84lU7&ssta=1&q=${encodedQuery}&oq=${encodedQuery}&src=2&serdesk=1`;
 
     if (page > 1) {
-        url += `&lci=${20 * (page - 1)}`;
+        url += `&lci=${resultsPerPage * (page - 1)}`;
     }
 
-    await pageObj.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
-
-    // CAPTCHA detection
-    const bodyText = await pageObj.textContent('body');
-    const hasCaptcha = bodyText.includes("unusual traffic") || bodyText.includes("not a robot");
-    const hasRecaptcha = await pageObj.$('iframe[src*="recaptcha"]');
+    const response = await pageObj.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+    if (options.dismissConsent) await dismissConsent(pageObj);
 
-    if (hasCaptcha || hasRecaptcha) {
-        await browser.close();
-        return { error: 'captcha' };
+    // Captchas, consent interstitials and rate limiting
+    try {
+        await assertNotBlocked(pageObj, { response, url });
+    } catch (error) {
+        return errorResult(error, url);
     }
 
     // Scroll to load more listings
@@ -38,105 +149,258 @@ async function scrapeLocalServices(query, page = 1) {
         await pageObj.waitForTimeout(2000);
     }
 
-    // Scrape local service results
-    const results = await pageObj.evaluate(({ query, pageNumber }) => {
-        const items = document.querySelectorAll("div[jscontroller='xkZ6Lb']");
-        const phoneRegex = /^[+()?\d\s-]+$/;
-        let data = [];
+    // Collect raw listing text; fields are classified by content in buildLocalBusiness
+    const { profile, selectorStats } = options;
+    const record = (field, rule) => {
+        if (selectorStats) selectorStats.record(profile, field, rule);
+    };
+
+    const { elements: items, rule: listingRule } = await resolveElements(pageObj, profile.fields.listing);
+    record('listing', listingRule);
+
+    const listings = [];
+    for (const item of items) {
+        const { elements: sponsored } = await resolveElements(item, profile.fields.sponsored);
+        if (sponsored.length) continue;
+
+        const listing = {};
+        for (const [field, key] of [['name', 'name'], ['website', 'website'], ['rating', 'ratingText'], ['reviews', 'reviewsText']]) {
+            const { value, rule } = await resolveField(item, profile.fields[field]);
+            listing[key] = value;
+            record(field, rule);
+        }
+
+        const { elements: detailSpans, rule: detailsRule } = await resolveElements(item, profile.fields.details);
+        listing.details = await Promise.all(detailSpans.map(span => span.innerText()));
+        record('details', detailsRule);
+
+        listings.push(listing);
+    }
+
+    let totalResults = listings.length;
+    const { value: totalLabel } = await resolveField(pageObj, profile.fields.total);
+    const match = totalLabel.match(/of\s+([\d,]+)/i);
+    if (match && match[1]) {
+        totalResults = parseInt(match[1].replace(/,/g, ""), 10);
+    }
+
+    const data = listings.map(listing => buildLocalBusiness({ ...listing, page, keyword: query }));
+    return { data, total: totalResults, url };
+}
+
+/**
+ * Parse a page selection such as "1-3", "2" or "1,3,5-6"
+ * @param {string} spec - Page numbers and ranges, comma separated
+ * @returns {number[]} - Sorted unique page numbers, never empty
+ * @throws {Error} - When a part is empty, not a number or range, page 0, or a range running backwards such as "5-2"
+ */
+function parsePageRange(spec) {
+    const pages = new Set();
+
+    for (const part of String(spec).split(',')) {
+        const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match) throw new Error(`Invalid page range: "${part.trim()}"`);
+
+        const start = parseInt(match[1], 10);
+        const end = match[2] ? parseInt(match[2], 10) : start;
+        if (start < 1) throw new Error(`Invalid page range: "${part.trim()}" (pages start at 1)`);
+        if (end < start) throw new Error(`Invalid page range: "${part.trim()}" (end is before start)`);
+        for (let page = start; page <= end; page++) pages.add(page);
+    }
+
+    return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Identity of a business across pages and queries
+ * @param {Object} business - Listing from scrapeLocalServices
+ * @returns {string} - Key built from normalized name, phone digits and address
+ */
+function businessKey(business) {
+    const text = (value) => (value ? String(value) : '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const digits = (value) => (value ? String(value) : '').replace(/\D/g, '');
+    return [text(business.name), digits(business.phone), text(business.address)].join('|');
+}
+
+/**
+ * Scrape several queries over a page range, or over every page until the reported total is reached
+ * Pages are fetched one at a time per query, and businesses are deduplicated by name + phone + address.
+ * @param {string[]} queries - Search queries
+ * @param {Object} options - Configuration options
+ * @param {number[]} options.pages - Page numbers to scrape (default: [1])
+ * @param {boolean} options.allPages - Keep paging until the reported total is reached; overrides pages (default: false)
+ * @param {number} options.maxPages - Upper bound on pages per query when allPages is set (default: 50)
+ * @param {Object} options.pool - Shared pool from createBrowserPool; one is created for the run when omitted (default: null)
+ * @param {Object} options.selectorStats - Collector from createSelectorStats for drift reports (default: null)
+ * @param {string|Object} options.artifacts - Debug artifacts to capture per page, see artifacts.js (default: 'off')
+ * @param {Object} options.network - Policy from createNetworkPolicy; one without proxies is created for the run when omitted (default: null)
+ * @param {Object} options.sessionStore - Store from createSessionStore to reuse Google's cookies (default: null)
+ * @param {Object} options.store - Store from createResultStore that records a snapshot of every listing found (default: null)
+ * @returns {Promise<Object>} - { data, totals, errors, artifacts } where data holds unique businesses with every query they matched
+ *   and artifacts lists { query, page, ...paths } for every page that captured files
+ */
+async function scrapeLocalQueries(queries, options = {}) {
+    const config = {
+        pages: [1],
+        allPages: false,
+        maxPages: 50,
+        pool: null,
+        selectorStats: null,
+        artifacts: 'off',
+        network: null,
+        sessionStore: null,
+        store: null,
+        ...options
+    };
+
+    const ownPool = !config.pool;
+    const pool = config.pool || createBrowserPool({ maxPages: 1 });
+    const network = config.network || createNetworkPolicy();
+    const businesses = new Map();
+    const totals = {};
+    const errors = [];
+    const artifacts = [];
 
-        items.forEach(e => {
-            if (e.querySelector("span.uDmIZc")) return;
+    try {
+        for (const query of queries) {
+            let pages = config.allPages ? [1] : config.pages;
 
-            const nameDiv = e.querySelector("div.rgnuSb.xYjf2e");
-            const name = nameDiv ? nameDiv.innerText.trim() : "N/A";
+            for (let i = 0; i < pages.length; i++) {
+                const page = pages[i];
+                console.log(`Scraping "${query}" page ${page}`);
 
-            let website = "N/A";
-            const websiteAnchor = e.querySelector('span[jsname="V67aGc"].VfPpkd-vQzf8d');
-            if (websiteAnchor) {
-                const anchor = websiteAnchor.closest("a");
-                if (anchor && anchor.href && !anchor.href.includes("maps.google.com")) {
-                    website = anchor.href.trim();
+                let result;
+                try {
+                    result = await scrapeLocalServices(query, page, {
+                        pool,
+                        selectorStats: config.selectorStats,
+                        artifacts: config.artifacts,
+                        network,
+                        sessionStore: config.sessionStore
+                    });
+                } catch (err) {
+                    result = { ...errorResult(err), artifacts: err.artifacts };
                 }
-            }
 
-            let phone = "N/A", category = "N/A", address = "N/A";
-            let foundPhone = false, foundCategory = false, foundAddress = false;
+                if (result.artifacts) artifacts.push({ query, page, ...result.artifacts });
+
+                if (result.error) {
+                    errors.push({
+                        query,
+                        page,
+                        error: result.error,
+                        message: result.message,
+                        ...(result.deferred && { deferred: true }),
+                        ...(result.artifacts && { artifacts: result.artifacts })
+                    });
+                    break;
+                }
+
+                totals[query] = result.total;
 
-            e.querySelectorAll("span.hGz87c").forEach(span => {
-                const text = span.innerText.trim();
-                const lower = text.toLowerCase();
+                for (const business of result.data) {
+                    if (config.store) config.store.save('local', business, business);
 
-                if (lower.includes("open") || lower.includes("closed")) return;
+                    const key = businessKey(business);
+                    const existing = businesses.get(key);
+                    if (existing) {
+                        if (!existing.queries.includes(query)) existing.queries.push(query);
+                    } else {
+                        businesses.set(key, { ...business, queries: [query] });
+                    }
+                }
 
-                if (!foundPhone && phoneRegex.test(text)) {
-                    phone = text;
-                    foundPhone = true;
-                } else if (!foundCategory) {
-                    category = text;
-                    foundCategory = true;
-                } else if (!foundAddress) {
-                    address = text;
-                    foundAddress = true;
+                // Once the first page reports the total, schedule the remaining pages
+                if (config.allPages && page === 1) {
+                    const lastPage = Math.min(Math.ceil(result.total / resultsPerPage), config.maxPages);
+                    pages = Array.from({ length: lastPage }, (_, index) => index + 1);
                 }
-            });
 
-            let reviews = "N/A";
-            const reviewElement = e.querySelector("div.leIgTe");
-            if (reviewElement) {
-                reviews = reviewElement.innerText.replace(/[()]/g, "").trim();
+                if (!result.data.length) break;
             }
+        }
+    } finally {
+        if (ownPool) await pool.close();
+    }
 
-            const ratingDiv = e.querySelector("div.rGaJuf");
-            const rating = ratingDiv ? ratingDiv.innerText.trim() : "N/A";
-
-            data.push({
-                name,
-                phone,
-                category,
-                address,
-                website,
-                reviews,
-                rating,
-                page: pageNumber,
-                keyword: query
-            });
-        });
+    return { data: [...businesses.values()], totals, errors, artifacts };
+}
 
-        let totalResults = data.length;
-        const countEl = document.querySelector("div.AIYI7d");
-        if (countEl?.getAttribute("aria-label")) {
-            const match = countEl.getAttribute("aria-label").match(/of\s+([\d,]+)/i);
-            if (match && match[1]) {
-                totalResults = parseInt(match[1].replace(/,/g, ""), 10);
-            }
+// Command-line entry point
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            query: { type: 'string', short: 'q', multiple: true, default: [] },
+            'queries-file': { type: 'string' },
+            pages: { type: 'string', short: 'p', default: '1' },
+            'all-pages': { type: 'boolean', default: false },
+            'max-pages': { type: 'string', default: '50' },
+            output: { type: 'string', short: 'o' },
+            'drift-report': { type: 'string' },
+            artifacts: { type: 'string', default: 'off' },
+            'artifacts-dir': { type: 'string', default: 'artifacts' },
+            proxies: { type: 'string' }
         }
+    });
+
+    const queries = [...values.query, ...positionals];
+    if (values['queries-file']) {
+        const lines = fs.readFileSync(values['queries-file'], 'utf8').split(/\r?\n/);
+        queries.push(...lines.map(line => line.trim()).filter(Boolean));
+    }
+
+    let pages = [];
+    let pagesError = '';
+    try {
+        pages = parsePageRange(values.pages);
+    } catch (error) {
+        pagesError = error.message;
+    }
+
+    if (!queries.length || pagesError) {
+        if (pagesError) console.log(`❌ ${pagesError}`);
+        console.log('Usage: node scrapeLocal.js -q "electrician in chicago" [-q "plumber in chicago"] [--queries-file queries.txt]');
+        console.log('         [--pages 1-3 | --all-pages [--max-pages 50]] [--output results.json]');
+        console.log('         [--drift-report selector-drift.json] [--artifacts off|on-failure|always [--artifacts-dir artifacts]]');
+        console.log('         [--proxies proxies.txt]');
+        process.exit(1);
+    }
 
-        return { data, total: totalResults };
-    }, { query, page });
+    const selectorStats = createSelectorStats();
+    const result = await scrapeLocalQueries(queries, {
+        pages,
+        allPages: values['all-pages'],
+        maxPages: parseInt(values['max-pages'], 10) || 50,
+        selectorStats,
+        artifacts: { mode: values.artifacts, dir: values['artifacts-dir'] },
+        network: createNetworkPolicy({ proxies: values.proxies ? readProxyList(values.proxies) : [] })
+    });
 
-    await browser.close();
-    return results;
+    if (values['drift-report']) {
+        writeDriftReport(values['drift-report'], selectorStats);
+    }
+
+    const flagged = result.data.filter(business => business.issues.length).length;
+    if (flagged) {
+        console.log(`⚠️ ${flagged} businesses have fields that look misplaced; see their "issues"`);
+    }
+
+    if (values.output) {
+        fs.writeFileSync(values.output, JSON.stringify(result, null, 2));
+        console.log(`\nSaved ${result.data.length} businesses to ${values.output}`);
+    } else {
+        console.log("\n=== Scraping Results ===");
+        console.log(JSON.stringify(result, null, 2));
+    }
 }
 
-// User input via readline
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-});
-
-rl.question("Enter search query (e.g., 'electrician in chicago'): ", (query) => {
-    rl.question("Enter page number (default = 1): ", (pageInput) => {
-        const pageNum = parseInt(pageInput) || 1;
-
-        scrapeLocalServices(query, pageNum)
-            .then((result) => {
-                console.log("\n=== Scraping Results ===");
-                console.log(JSON.stringify(result, null, 2));
-                rl.close();
-            })
-            .catch((err) => {
-                console.error("❌ Error:", err);
-                rl.close();
-            });
+// Run if called directly
+if (require.main === module) {
+    main().catch((err) => {
+        console.error("❌ Error:", err);
+        process.exit(1);
     });
-});
+}
+
+module.exports = { scrapeLocalServices, scrapeLocalQueries, parsePageRange, businessKey };
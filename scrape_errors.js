@@ -0,0 +1,115 @@
+// Machine-readable error codes returned in the `error` field of scraper results
+const ErrorCodes = {
+  DNS: 'dns',
+  TLS: 'tls',
+  TIMEOUT: 'timeout',
+  NETWORK: 'network',
+  HTTP_4XX: 'http_4xx',
+  HTTP_5XX: 'http_5xx',
+  CAPTCHA: 'captcha',
+  BLOCKED: 'blocked',
+  LOGIN_WALL: 'login_wall',
+  CONSENT: 'consent',
+  RATE_LIMITED: 'rate_limited',
+  UNKNOWN: 'unknown'
+};
+
+// The site refused to serve the content right now; the item is deferred and worth retrying later
+const deferredErrorCodes = [
+  ErrorCodes.CAPTCHA,
+  ErrorCodes.BLOCKED,
+  ErrorCodes.LOGIN_WALL,
+  ErrorCodes.CONSENT,
+  ErrorCodes.RATE_LIMITED
+];
+
+// Chromium net errors and Node fetch errors, by the code they map to
+const networkErrorPatterns = [
+  { code: ErrorCodes.DNS, pattern: /ERR_NAME_NOT_RESOLVED|ERR_NAME_RESOLUTION_FAILED|ENOTFOUND|EAI_AGAIN/ },
+  { code: ErrorCodes.TLS, pattern: /ERR_CERT_|ERR_SSL_|ERR_BAD_SSL|SSL routines|CERT_HAS_EXPIRED|UNABLE_TO_VERIFY_LEAF_SIGNATURE|DEPTH_ZERO_SELF_SIGNED_CERT/ },
+  { code: ErrorCodes.TIMEOUT, pattern: /Timeout \d+ms exceeded|ERR_TIMED_OUT|ETIMEDOUT|timed out/i },
+  { code: ErrorCodes.NETWORK, pattern: /ERR_CONNECTION_|ERR_INTERNET_DISCONNECTED|ERR_ADDRESS_UNREACHABLE|ERR_EMPTY_RESPONSE|ECONNREFUSED|ECONNRESET|EHOSTUNREACH/ }
+];
+
+// Text served by bot-protection pages instead of the site itself
+const blockPagePatterns = /access denied|attention required|request blocked|you have been blocked|forbidden/i;
+
+/**
+ * Error carrying a machine-readable code, raised or classified by the scrapers
+ */
+class ScrapeError extends Error {
+  /**
+   * @param {string} code - One of ErrorCodes
+   * @param {string} message - Human-readable description
+   * @param {Object} details - Extra fields such as status and url
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'ScrapeError';
+    this.code = code;
+    this.status = details.status || null;
+    this.url = details.url || null;
+    if (details.cause) this.cause = details.cause;
+  }
+}
+
+/**
+ * Map any error thrown while scraping to a ScrapeError
+ * @param {Error} error - Error from Playwright, Puppeteer or the scraper itself
+ * @param {string} url - URL being scraped
+ * @returns {ScrapeError} - Classified error
+ */
+function classifyError(error, url) {
+  if (error instanceof ScrapeError) return error;
+
+  const message = (error && error.message) || String(error);
+  const match = (error && error.name === 'TimeoutError')
+    ? { code: ErrorCodes.TIMEOUT }
+    : networkErrorPatterns.find(({ pattern }) => pattern.test(message));
+
+  return new ScrapeError(match ? match.code : ErrorCodes.UNKNOWN, message, { url, cause: error });
+}
+
+/**
+ * Throw a ScrapeError when a navigation response has a 4xx/5xx status
+ * @param {Object|null} response - Playwright response returned by page.goto
+ * @param {string} url - URL being scraped
+ * @param {string} bodyText - Page text, used to tell bot-protection pages from ordinary errors (default: '')
+ * @throws {ScrapeError}
+ */
+function assertResponseOk(response, url, bodyText = '') {
+  if (!response) return;
+
+  const status = response.status();
+  if (status < 400) return;
+
+  if (status === 429) {
+    throw new ScrapeError(ErrorCodes.RATE_LIMITED, 'HTTP 429 Too Many Requests', { status, url });
+  }
+
+  if (status === 403 && blockPagePatterns.test(bodyText)) {
+    throw new ScrapeError(ErrorCodes.BLOCKED, `Blocked by the site (HTTP ${status})`, { status, url });
+  }
+
+  const code = status >= 500 ? ErrorCodes.HTTP_5XX : ErrorCodes.HTTP_4XX;
+  throw new ScrapeError(code, `HTTP ${status} ${response.statusText()}`.trim(), { status, url });
+}
+
+/**
+ * Build the error object returned by scrapers in place of a result
+ * @param {Error} error - Any error; it is classified first
+ * @param {string} url - URL being scraped
+ * @returns {Object} - { error: code, message, status, url }, plus deferred: true when the site blocked the request
+ */
+function errorResult(error, url) {
+  const classified = classifyError(error, url);
+  return {
+    error: classified.code,
+    message: classified.message,
+    status: classified.status,
+    url: classified.url || url,
+    ...(deferredErrorCodes.includes(classified.code) && { deferred: true })
+  };
+}
+
+module.exports = { ScrapeError, ErrorCodes, deferredErrorCodes, classifyError, assertResponseOk, errorResult };
@@ -0,0 +1,92 @@
+/**
+ * Search engine definition used by findEmails to build result page URLs
+ * @typedef {Object} SearchBackend
+ * @property {string} name - Backend name reported in results (e.g. 'bing')
+ * @property {string} baseUrl - Search endpoint the query is appended to
+ * @property {function(string, string, number): ?string} pageUrl - Builds the URL of a results page from (baseUrl, query, pageIndex),
+ *   or returns null when that page is reached by clicking nextSelector instead
+ * @property {string} [nextSelector] - "Next page" control, for engines that paginate through forms
+ * @property {string} [resultSelector] - Container of the organic results; the whole page is read when it is missing
+ * @property {string[]} [ownDomains] - The engine's own email domains, which are never results
+ */
+
+const defaultBackends = {
+  // The JavaScript-free DuckDuckGo frontend; later pages are POST forms behind the "Next" button
+  duckduckgo: {
+    name: 'duckduckgo',
+    baseUrl: 'https://html.duckduckgo.com/html/',
+    pageUrl: (baseUrl, query, pageIndex) => (pageIndex === 0 ? `${baseUrl}?q=${encodeURIComponent(query)}` : null),
+    nextSelector: 'form input[type="submit"][value="Next"]',
+    resultSelector: '#links',
+    ownDomains: ['duckduckgo.com']
+  },
+  bing: {
+    name: 'bing',
+    baseUrl: 'https://www.bing.com/search',
+    pageUrl: (baseUrl, query, pageIndex) => {
+      const url = `${baseUrl}?q=${encodeURIComponent(query)}`;
+      return pageIndex === 0 ? url : `${url}&first=${pageIndex * 10 + 1}`;
+    },
+    resultSelector: '#b_results',
+    ownDomains: ['bing.com']
+  }
+};
+
+/**
+ * Create a backend from a URL template
+ * Placeholders: {baseUrl}, {query} (URL-encoded), {page} (1-based) and {offset} (pageIndex * perPage).
+ * @param {string} urlTemplate - e.g. 'https://search.example/?q={query}&start={offset}'
+ * @param {Object} options - Configuration options
+ * @param {string} options.baseUrl - Value for {baseUrl} (default: '')
+ * @param {number} options.perPage - Results per page, used for {offset} (default: 10)
+ * @param {string} options.resultSelector - Container of the organic results (default: whole page)
+ * @returns {SearchBackend}
+ */
+function templateBackend(urlTemplate, options = {}) {
+  const config = {
+    baseUrl: '',
+    perPage: 10,
+    resultSelector: '',
+    ...options
+  };
+
+  return {
+    name: 'custom',
+    baseUrl: config.baseUrl,
+    resultSelector: config.resultSelector,
+    pageUrl: (baseUrl, query, pageIndex) => urlTemplate
+      .replace(/\{baseUrl\}/g, baseUrl)
+      .replace(/\{query\}/g, encodeURIComponent(query))
+      .replace(/\{page\}/g, String(pageIndex + 1))
+      .replace(/\{offset\}/g, String(pageIndex * config.perPage))
+  };
+}
+
+/**
+ * Look up a backend by name, or accept a definition, and apply a base URL override
+ * @param {string|SearchBackend} backend - 'duckduckgo', 'bing', 'custom' or a backend definition
+ * @param {Object} options - Configuration options
+ * @param {string} options.baseUrl - Replaces the backend's base URL, e.g. to point at a local stand-in server (default: none)
+ * @param {string} options.urlTemplate - URL template, required for 'custom' (default: none)
+ * @returns {SearchBackend}
+ * @throws {TypeError} - When the backend is unknown or malformed
+ */
+function resolveSearchBackend(backend, options = {}) {
+  let definition = backend;
+
+  if (backend === 'custom') {
+    if (!options.urlTemplate) throw new TypeError('The custom search backend requires a urlTemplate');
+    definition = templateBackend(options.urlTemplate);
+  } else if (typeof backend === 'string') {
+    definition = defaultBackends[backend];
+    if (!definition) throw new TypeError(`Unknown search backend "${backend}"`);
+  }
+
+  if (!definition || typeof definition.name !== 'string' || typeof definition.pageUrl !== 'function') {
+    throw new TypeError('Search backend requires a name and a pageUrl function');
+  }
+
+  return options.baseUrl ? { ...definition, baseUrl: options.baseUrl } : definition;
+}
+
+module.exports = { defaultBackends, templateBackend, resolveSearchBackend };
@@ -0,0 +1,283 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * One way of finding a field on the page; a field lists several, tried in order
+ * @typedef {Object} SelectorRule
+ * @property {string} selector - Playwright selector (CSS, or xpath=...)
+ * @property {string} [has] - Only keep matches containing an element matching this CSS selector
+ * @property {string} [text] - Read the first descendant matching this selector instead of the match itself
+ * @property {boolean} [parent] - Read the parent element instead of the match itself
+ * @property {string} [ancestor] - Read the closest ancestor (or self) with this tag name, e.g. 'a'
+ * @property {string} [attribute] - Read this attribute instead of the inner text
+ * @property {string} [property] - Read this DOM property instead of the inner text, e.g. 'href' for an absolute URL
+ * @property {string} [replace] - Regular expression removed from the value
+ * @property {string} [pattern] - Regular expression the value must match; every match is tried until one does
+ * @property {string} [reject] - Regular expression the value must not match
+ * @property {string} [flags] - Flags for pattern, replace and reject (default: none)
+ */
+
+/**
+ * Versioned selectors for one site, kept in selector_profiles/<name>.json
+ * @typedef {Object} SelectorProfile
+ * @property {string} name - Profile name, e.g. 'facebook'
+ * @property {number} version - Bumped whenever selectors change, so drift reports can tell runs apart
+ * @property {Object<string, SelectorRule[]>} fields - Ordered fallback rules per field
+ */
+
+const profileDirectory = path.join(__dirname, 'selector_profiles');
+const loadedProfiles = new Map();
+
+/**
+ * Check that a selector profile has everything the resolvers rely on
+ * @param {SelectorProfile} profile - Parsed profile
+ * @param {string} source - File the profile came from, for error messages
+ * @throws {TypeError} - When a required property is missing or malformed
+ */
+function validateProfile(profile, source) {
+  if (!profile || typeof profile.name !== 'string' || !profile.name) {
+    throw new TypeError(`Selector profile ${source} requires a name`);
+  }
+  if (!Number.isInteger(profile.version)) {
+    throw new TypeError(`Selector profile "${profile.name}" requires an integer version`);
+  }
+  if (!profile.fields || typeof profile.fields !== 'object') {
+    throw new TypeError(`Selector profile "${profile.name}" requires fields`);
+  }
+  for (const [field, rules] of Object.entries(profile.fields)) {
+    if (!Array.isArray(rules) || !rules.length || !rules.every(rule => rule && typeof rule.selector === 'string' && rule.selector)) {
+      throw new TypeError(`Selector profile "${profile.name}" field "${field}" requires a list of rules with a selector`);
+    }
+  }
+}
+
+/**
+ * Load a selector profile by name from selector_profiles/, or from a JSON file path
+ * Profiles are read once per process.
+ * @param {string|SelectorProfile} profile - Profile name, path to a .json file, or an already loaded profile
+ * @param {string[]} requiredFields - Fields the caller reads; a profile missing one is rejected (default: [])
+ * @returns {SelectorProfile}
+ * @throws {TypeError} - When the profile is malformed or lacks a required field
+ */
+function loadSelectorProfile(profile, requiredFields = []) {
+  let loaded = profile;
+
+  if (typeof profile === 'string') {
+    const file = profile.endsWith('.json') ? path.resolve(profile) : path.join(profileDirectory, `${profile}.json`);
+    if (!loadedProfiles.has(file)) {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      validateProfile(parsed, file);
+      loadedProfiles.set(file, parsed);
+    }
+    loaded = loadedProfiles.get(file);
+  } else {
+    validateProfile(loaded, 'object');
+  }
+
+  const missing = requiredFields.filter(field => !loaded.fields[field]);
+  if (missing.length) {
+    throw new TypeError(`Selector profile "${loaded.name}" is missing fields: ${missing.join(', ')}`);
+  }
+  return loaded;
+}
+
+/**
+ * Build the locator a rule points at, relative to a page or an element
+ * @param {Object} root - Playwright page or locator
+ * @param {SelectorRule} rule - Rule to apply
+ * @returns {Object} - Playwright locator
+ */
+function ruleLocator(root, rule) {
+  const page = typeof root.page === 'function' ? root.page() : root;
+  let locator = rule.has
+    ? root.locator(rule.selector, { has: page.locator(rule.has) })
+    : root.locator(rule.selector);
+
+  if (rule.text) locator = locator.locator(rule.text);
+  if (rule.ancestor) locator = locator.locator(`xpath=ancestor-or-self::${rule.ancestor}[1]`);
+  if (rule.parent) locator = locator.locator('xpath=..');
+  return locator;
+}
+
+/**
+ * Read and clean the value of one matched element, or '' when it does not satisfy the rule
+ * @param {Object} element - Playwright locator for a single element
+ * @param {SelectorRule} rule - Rule the element was matched by
+ * @returns {Promise<string>}
+ */
+async function readRuleValue(element, rule) {
+  let value;
+  if (rule.property) value = await element.evaluate((node, name) => node[name], rule.property);
+  else if (rule.attribute) value = await element.getAttribute(rule.attribute);
+  else value = await element.innerText();
+
+  value = String(value || '');
+  if (rule.replace) value = value.replace(new RegExp(rule.replace, rule.flags || ''), '');
+  value = value.trim();
+
+  if (rule.pattern && !new RegExp(rule.pattern, rule.flags || '').test(value)) return '';
+  if (rule.reject && new RegExp(rule.reject, rule.flags || '').test(value)) return '';
+  return value;
+}
+
+/**
+ * Read a field by trying its rules in order until one yields a value
+ * @param {Object} root - Playwright page or locator to search within
+ * @param {SelectorRule[]} rules - Ordered fallback rules
+ * @param {function(string): boolean} accept - Extra check a value must pass, treated like a pattern miss (default: none)
+ * @returns {Promise<Object>} - { value, rule } where rule is the index of the rule that hit, or -1
+ */
+async function resolveField(root, rules, accept = null) {
+  for (const [index, rule] of rules.entries()) {
+    const locator = ruleLocator(root, rule);
+    const elements = rule.pattern ? await locator.all() : [locator.first()];
+
+    for (const element of elements) {
+      if (await element.count() === 0) continue;
+      const value = await readRuleValue(element, rule);
+      if (value && (!accept || accept(value))) return { value, rule: index };
+    }
+  }
+  return { value: '', rule: -1 };
+}
+
+/**
+ * Find every element of a repeated field using the first rule that matches anything
+ * @param {Object} root - Playwright page or locator to search within
+ * @param {SelectorRule[]} rules - Ordered fallback rules
+ * @returns {Promise<Object>} - { elements, rule } where elements are locators and rule is the index that hit, or -1
+ */
+async function resolveElements(root, rules) {
+  for (const [index, rule] of rules.entries()) {
+    const elements = await ruleLocator(root, rule).all();
+    if (elements.length) return { elements, rule: index };
+  }
+  return { elements: [], rule: -1 };
+}
+
+/**
+ * Create a collector of per-field selector hits, shared by the scrapers of one batch
+ * @returns {Object} - Stats with record(profile, field, rule) and toJSON()
+ */
+function createSelectorStats() {
+  // Profile name -> { version, fields: { field -> { attempts, hits, ruleHits } } }
+  const profiles = {};
+
+  return {
+    /**
+     * Count one attempt to read a field
+     * @param {SelectorProfile} profile - Profile the field belongs to
+     * @param {string} field - Field name
+     * @param {number} rule - Index of the rule that hit, or -1 for a miss
+     */
+    record(profile, field, rule) {
+      const entry = profiles[profile.name] || (profiles[profile.name] = { version: profile.version, fields: {} });
+      const stats = entry.fields[field] || (entry.fields[field] = { attempts: 0, hits: 0, ruleHits: [] });
+
+      stats.attempts++;
+      if (rule >= 0) {
+        stats.hits++;
+        while (stats.ruleHits.length <= rule) stats.ruleHits.push(0);
+        stats.ruleHits[rule]++;
+      }
+    },
+
+    toJSON() {
+      return profiles;
+    }
+  };
+}
+
+/**
+ * Compare field hit rates with a previous run and flag fields that stopped matching
+ * A field has drifted when it matched in the previous run but had no hits in at least minAttempts attempts now.
+ * A field without hits that did not match before either, such as an optional field most pages leave out, is
+ * 'unmatched' instead.
+ * @param {Object} current - Stats from createSelectorStats (or its JSON)
+ * @param {Object} previous - Stats from the previous run, or null
+ * @param {Object} options - Configuration options
+ * @param {number} options.minAttempts - Attempts needed before a field can be flagged (default: 5)
+ * @returns {Object[]} - One entry per field: { profile, version, field, attempts, hits, hitRate, previousHitRate, fallbackHits,
+ *   status, drifted, reason } where status is 'ok', 'drifted' or 'unmatched'
+ */
+function driftReport(current, previous = null, options = {}) {
+  const config = {
+    minAttempts: 5,
+    ...options
+  };
+  const currentStats = typeof current.toJSON === 'function' ? current.toJSON() : current;
+  const report = [];
+
+  for (const [profile, { version, fields }] of Object.entries(currentStats)) {
+    const previousFields = (previous && previous[profile] && previous[profile].fields) || {};
+
+    for (const [field, stats] of Object.entries(fields)) {
+      const before = previousFields[field];
+      const hitRate = stats.attempts ? stats.hits / stats.attempts : 0;
+      const previousHitRate = before && before.attempts ? before.hits / before.attempts : null;
+      const missing = stats.hits === 0 && stats.attempts >= config.minAttempts;
+
+      let status = 'ok';
+      let reason = '';
+      if (missing && previousHitRate > 0) {
+        status = 'drifted';
+        reason = `hit rate dropped from ${Math.round(previousHitRate * 100)}% to 0% over ${stats.attempts} attempts`;
+      } else if (missing) {
+        status = 'unmatched';
+        reason = `no hits in ${stats.attempts} attempts${previousHitRate === null ? '' : ' nor in the previous run'}`;
+      }
+
+      report.push({
+        profile,
+        version,
+        field,
+        attempts: stats.attempts,
+        hits: stats.hits,
+        hitRate,
+        previousHitRate,
+        // Hits that only a fallback rule produced: the primary selector may be drifting
+        fallbackHits: stats.hits - (stats.ruleHits[0] || 0),
+        status,
+        drifted: status === 'drifted',
+        reason
+      });
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Write a drift report file, using the stats already in that file as the previous run
+ * @param {string} file - Report path (JSON)
+ * @param {Object} stats - Stats from createSelectorStats
+ * @param {Object} options - Options passed to driftReport
+ * @returns {Object[]} - The drift report entries
+ */
+function writeDriftReport(file, stats, options = {}) {
+  let previous = null;
+  if (fs.existsSync(file)) {
+    try {
+      previous = JSON.parse(fs.readFileSync(file, 'utf8')).stats || null;
+    } catch (e) {
+      // An unreadable report just means there is no baseline
+    }
+  }
+
+  const fields = driftReport(stats, previous, options);
+  fs.writeFileSync(file, JSON.stringify({ generatedAt: new Date().toISOString(), stats, fields }, null, 2));
+
+  for (const entry of fields.filter(field => field.drifted)) {
+    console.log(`⚠️ Selector drift: ${entry.profile} v${entry.version} "${entry.field}" ${entry.reason}`);
+  }
+  return fields;
+}
+
+module.exports = {
+  loadSelectorProfile,
+  resolveField,
+  resolveElements,
+  createSelectorStats,
+  driftReport,
+  writeDriftReport
+};
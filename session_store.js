@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { chromium } = require('playwright');
+
+/**
+ * Site a URL's session belongs to: the host without www., m. or web. in front
+ * @param {string} url - Page URL
+ * @returns {string} - e.g. 'facebook.com' for https://m.facebook.com/acme
+ */
+function siteKey(url) {
+  let hostname;
+  try {
+    hostname = new URL(/^https?:\/\//i.test(url) ? url : `http://${url}`).hostname.toLowerCase();
+  } catch (e) {
+    return '';
+  }
+  return hostname.replace(/^(?:www|m|web|mobile)\./, '');
+}
+
+/**
+ * Whether a cookie domain or origin host is the site or one of its subdomains
+ * @param {string} hostname - Cookie domain (a leading dot is ignored) or origin hostname
+ * @param {string} key - Site from siteKey
+ * @returns {boolean}
+ */
+function belongsToSite(hostname, key) {
+  const host = hostname.toLowerCase().replace(/^\./, '');
+  return host === key || host.endsWith(`.${key}`);
+}
+
+/**
+ * Keep only the cookies and local storage of one site from a context's storage state
+ * A pooled context is shared by every site loaded with the same fingerprint, so its state can hold other sites' cookies.
+ * @param {Object} state - Playwright storage state: { cookies, origins }
+ * @param {string} key - Site from siteKey
+ * @returns {Object} - Storage state of that site alone
+ */
+function siteStorageState(state, key) {
+  return {
+    cookies: state.cookies.filter(cookie => belongsToSite(cookie.domain, key)),
+    origins: state.origins.filter(origin => {
+      try {
+        return belongsToSite(new URL(origin.origin).hostname, key);
+      } catch (e) {
+        return false;
+      }
+    })
+  };
+}
+
+/**
+ * Create a store of Playwright storageState files, one per site, so a logged-in or consented session is reused
+ * @param {Object} options - Configuration options
+ * @param {string} options.dir - Directory holding <site>.json files (default: 'sessions')
+ * @param {boolean} options.save - Write the state back after each successful scrape (default: true)
+ * @returns {Object} - Store with contextOptions, save and statePath
+ */
+function createSessionStore(options = {}) {
+  const config = {
+    dir: 'sessions',
+    save: true,
+    ...options
+  };
+
+  const statePath = (url) => {
+    const key = siteKey(url);
+    return key ? path.join(config.dir, `${key.replace(/[^a-z0-9.-]/g, '_')}.json`) : '';
+  };
+
+  return {
+    statePath,
+
+    /**
+     * Context options that load the site's saved state, if there is one
+     * @param {string} url - URL about to be loaded
+     * @returns {Object} - { storageState: path } or {}
+     */
+    contextOptions(url) {
+      const file = statePath(url);
+      return file && fs.existsSync(file) ? { storageState: file } : {};
+    },
+
+    /**
+     * Save the site's cookies and local storage from the page's context as its state
+     * Cookies and storage of other sites the context has visited are left out.
+     * @param {Object} page - Playwright page on the site
+     * @param {string} url - URL the state belongs to
+     * @returns {Promise<string>} - Path written, or '' when saving is off or failed
+     */
+    async save(page, url) {
+      const file = statePath(url);
+      if (!config.save || !file) return '';
+
+      try {
+        const state = siteStorageState(await page.context().storageState(), siteKey(url));
+        fs.mkdirSync(config.dir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(state, null, 2));
+        return file;
+      } catch (e) {
+        console.error(`Couldn't save session for ${siteKey(url)}:`, e.message);
+        return '';
+      }
+    }
+  };
+}
+
+/**
+ * Open a visible browser on a site, let the user log in or accept cookies, then save the session
+ * @param {string} url - Site to open
+ * @param {Object} options - Options passed to createSessionStore
+ * @returns {Promise<string>} - Path of the saved state
+ */
+async function recordSession(url, options = {}) {
+  const store = createSessionStore({ ...options, save: true });
+  const browser = await chromium.launch({ headless: false });
+
+  try {
+    const context = await browser.newContext(store.contextOptions(url));
+    const page = await context.newPage();
+    await page.goto(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    await new Promise(resolve => prompt.question('Log in or accept cookies in the browser, then press Enter here to save... ', resolve));
+    prompt.close();
+
+    return await store.save(page, url);
+  } finally {
+    await browser.close();
+  }
+}
+
+// Command-line entry point
+async function main() {
+  const [command, url, dir] = process.argv.slice(2);
+
+  if (command !== 'record' || !url) {
+    console.log('Usage: node session_store.js record <site_url> [sessions_dir]');
+    process.exit(1);
+  }
+
+  const file = await recordSession(url, dir ? { dir } : {});
+  console.log(file ? `Saved session to ${file}` : 'Session was not saved');
+}
+
+// Run if called directly
+if (require.main === module) {
+  main().catch((err) => {
+    console.error('❌ Error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { createSessionStore, recordSession, siteKey };
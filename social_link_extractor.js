@@ -1,220 +1,655 @@
 const { chromium } = require('playwright');
+const cheerio = require('cheerio');
+const { openPage } = require('./browser_pool');
+const { createPlatformRegistry } = require('./social_platforms');
+const { collectDocumentContacts } = require('./contact_extractor');
+const { fetchDocument, looksJsRendered } = require('./http_fetch');
+const { waitForReady, remainingTime, boundedTimeout } = require('./page_readiness');
+const { ErrorCodes, assertResponseOk, errorResult } = require('./scrape_errors');
+const { createArtifactRecorder } = require('./artifacts');
+const { assertNotBlocked, assertDocumentNotBlocked, retryWhenBlocked } = require('./block_detector');
+const { dismissConsent } = require('./consent');
+const { acquireSession } = require('./network_policy');
+
+// Confidence assigned to a candidate by where on the page it was found
+const sourceScores = {
+  jsonLd: 0.95,
+  relMe: 0.9,
+  header: 0.8,
+  footer: 0.8,
+  meta: 0.7,
+  body: 0.5,
+  regex: 0.3
+};
+
+// Bonus for each additional independent source that found the same profile
+const corroborationBonus = 0.05;
+
+/**
+ * Add a candidate profile link, merging it with an existing candidate for the same profile
+ * @param {Object} state - Extraction state (registry, candidates), updated in place
+ * @param {string} rawLink - Link as found on the page
+ * @param {string} source - Key of sourceScores describing where the link was found
+ * @param {string} pageUrl - URL of the page the link was found on
+ */
+function addCandidate(state, rawLink, source, pageUrl) {
+  const { candidates } = state;
+
+  for (const { platform, url, handle } of state.registry.match(rawLink)) {
+    const existing = candidates[platform].get(url);
+    if (existing) {
+      if (!existing.sources.includes(source)) existing.sources.push(source);
+      continue;
+    }
+
+    candidates[platform].set(url, { url, handle, sources: [source], foundOn: pageUrl });
+  }
+}
+
+/**
+ * Score a candidate by its best source, plus a bonus for each corroborating source
+ * @param {Object} candidate - Candidate with its list of sources
+ * @returns {number} - Confidence between 0 and 1
+ */
+function scoreCandidate(candidate) {
+  const scores = candidate.sources.map(source => sourceScores[source]);
+  const score = Math.max(...scores) + corroborationBonus * (scores.length - 1);
+  return Math.min(1, Math.round(score * 100) / 100);
+}
+
+/**
+ * List every candidate for each platform, best first
+ * @param {Object} candidates - Map of platform to Map of canonical URL to candidate
+ * @returns {Object} - Map of platform to scored candidate array
+ */
+function rankCandidates(candidates) {
+  return Object.keys(candidates).reduce((acc, platform) => {
+    acc[platform] = [...candidates[platform].values()]
+      .map(candidate => ({ ...candidate, score: scoreCandidate(candidate) }))
+      .sort((a, b) => b.score - a.score);
+    return acc;
+  }, {});
+}
+
+/**
+ * Merge emails or phone numbers found on a page, keeping every source they were found through
+ * @param {Map} found - Map of normalized value to contact entry, updated in place
+ * @param {Object[]} entries - Contacts from collectDocumentContacts
+ * @param {string} pageUrl - URL of the page the contacts were found on
+ */
+function addContacts(found, entries, pageUrl) {
+  for (const { source, ...entry } of entries) {
+    const existing = found.get(entry.value);
+    if (existing) {
+      if (!existing.sources.includes(source)) existing.sources.push(source);
+      continue;
+    }
+    found.set(entry.value, { ...entry, sources: [source], foundOn: pageUrl });
+  }
+}
+
+/**
+ * Set each platform's result to its best candidate
+ * @param {Object} state - Extraction state (result, sources, candidates), updated in place
+ */
+function applyBestCandidates(state) {
+  const ranked = rankCandidates(state.candidates);
+  for (const platform of state.registry.names) {
+    const [best] = ranked[platform];
+    state.result[platform] = best ? best.url : '';
+    if (best) state.sources[platform] = best.foundOn;
+  }
+}
+
+// How pages are loaded: plain HTTP with a browser fallback, or only one of the two
+const fetchModes = ['auto', 'http', 'browser'];
+
+// Internal pages that usually carry contact details or social icons, most promising first
+const candidatePagePatterns = [
+  /contact/i,
+  /about/i,
+  /team|staff|people/i,
+  /connect|social|follow/i,
+  /location|find-us|visit/i
+];
+
+// Links that never lead to an HTML page worth crawling
+const skippedExtensions = /\.(?:pdf|jpe?g|png|gif|svg|webp|ico|zip|rar|mp3|mp4|mov|avi|docx?|xlsx?|pptx?|css|js|xml)$/i;
+
+/**
+ * Normalize a page URL so the same page is only visited once
+ * @param {string} pageUrl - Absolute page URL
+ * @returns {string} - URL without fragment
+ */
+function normalizePageUrl(pageUrl) {
+  const parsed = new URL(pageUrl);
+  parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * Rank an internal URL by how likely it is to hold contact or social details
+ * @param {string} pageUrl - Absolute page URL
+ * @returns {number} - Lower is more promising
+ */
+function rankCandidatePage(pageUrl) {
+  const { pathname } = new URL(pageUrl);
+  const index = candidatePagePatterns.findIndex(pattern => pattern.test(pathname));
+  return index === -1 ? candidatePagePatterns.length : index;
+}
+
+/**
+ * Collect same-origin links from a page
+ * @param {Object} $ - Cheerio document
+ * @param {string} pageUrl - URL of the page, for resolving relative links
+ * @param {string} origin - Origin that links must belong to
+ * @returns {string[]} - Unique absolute URLs without fragments
+ */
+function collectInternalLinks($, pageUrl, origin) {
+  // Relative links resolve against <base href> when the page has one, as in the browser
+  let baseUrl = pageUrl;
+  try {
+    baseUrl = new URL($('base[href]').attr('href') || pageUrl, pageUrl).href;
+  } catch (e) {
+    // Malformed base; resolve against the page itself
+  }
+
+  const links = new Set();
+  for (const anchor of $('a[href]').toArray()) {
+    try {
+      const parsed = new URL($(anchor).attr('href'), baseUrl);
+      if (parsed.origin !== origin || skippedExtensions.test(parsed.pathname)) continue;
+      links.add(normalizePageUrl(parsed.href));
+    } catch (e) {
+      // Ignore malformed hrefs
+    }
+  }
+
+  return [...links];
+}
+
+/**
+ * Run every extraction strategy against a parsed page, collecting candidates for each platform
+ * Both fetch modes parse HTML, the browser's rendered DOM or the served page, so the same HTML gives the same result.
+ * @param {Object} $ - Cheerio document
+ * @param {string} pageUrl - URL of the page
+ * @param {Object} state - Extraction state (result, sources, candidates), updated in place
+ */
+function extractFromDocument($, pageUrl, state) {
+  const { result, sources, candidates, registry } = state;
+  const candidateCount = () => registry.names.reduce((sum, platform) => sum + candidates[platform].size, 0);
+  const foundBefore = candidateCount();
+
+  // Helper function to extract links from a set of anchors
+  const extractLinksFrom = (anchors, source) => {
+    for (const anchor of anchors.toArray()) {
+      const link = $(anchor);
+      const href = link.attr('href');
+      if (!href) continue;
+
+      // Header and footer links were already scored by their own source
+      if (source === 'body' && link.closest('header, footer').length) continue;
+
+      const hrefLower = href.toLowerCase();
+
+      // Check for social media links
+      addCandidate(state, href, source, pageUrl);
+
+      // Check for contact link
+      if (!result.contact &&
+          (hrefLower.includes('/contact') ||
+           link.text().toLowerCase().includes('contact'))) {
+        result.contact = href;
+        sources.contact = pageUrl;
+      }
+    }
+  };
+
+  // 1. Check header and footer
+  extractLinksFrom($('header').first().find('a[href]'), 'header');
+  extractLinksFrom($('footer').first().find('a[href]'), 'footer');
+
+  // 2. Check structured data (application/ld+json)
+  for (const script of $('script[type="application/ld+json"]').toArray()) {
+    try {
+      const jsonData = JSON.parse($(script).text());
+
+      // Handle both direct sameAs and array of objects with sameAs
+      let sameAs = jsonData.sameAs;
+      if (!sameAs && Array.isArray(jsonData) && jsonData[0]) {
+        sameAs = jsonData[0].sameAs;
+      }
+
+      if (sameAs) {
+        const links = Array.isArray(sameAs) ? sameAs : [sameAs];
+        for (const link of links) {
+          if (typeof link === 'string') addCandidate(state, link, 'jsonLd', pageUrl);
+        }
+      }
+    } catch (e) {
+      // Ignore JSON parsing errors
+    }
+  }
+
+  // 3. Check rel="me" links
+  for (const link of $('link[rel~="me"], a[rel~="me"]').toArray()) {
+    const href = $(link).attr('href');
+    if (href) addCandidate(state, href, 'relMe', pageUrl);
+  }
+
+  // 4. Check meta tags
+  // Twitter
+  const twitterSite = $('meta[name="twitter:site"]').first().attr('content');
+  if (twitterSite) {
+    // twitter:site usually carries a bare handle such as "@acme"
+    const handle = twitterSite.trim().replace(/^@/, '');
+    addCandidate(state, /^\w{1,15}$/.test(handle) ? `https://x.com/${handle}` : twitterSite, 'meta', pageUrl);
+  }
+
+  // OpenGraph see_also
+  const ogSeeAlso = $('meta[property="og:see_also"]').first().attr('content');
+  if (ogSeeAlso) {
+    for (const link of ogSeeAlso.split(',')) {
+      addCandidate(state, link, 'meta', pageUrl);
+    }
+  }
+
+  // 5. Check the entire document, so body links outside header/footer are candidates too
+  extractLinksFrom($('a[href]'), 'body');
+
+  // 6. Last resort: regex search in HTML
+  if (candidateCount() === foundBefore) {
+    const html = $.html();
+    const hosts = registry.hosts().map(host => host.replace(/\./g, '\\.')).join('|');
+    const regex = new RegExp(`(?:https?:)?\\/\\/[^"'>\\s]*(?:${hosts})[\\w\\./?=&%@+-]*`, 'gi');
+    let match;
+    while ((match = regex.exec(html)) !== null) {
+      addCandidate(state, match[0], 'regex', pageUrl);
+    }
+  }
+
+  // 7. Emails and phone numbers, from mailto:/tel: links, Cloudflare-protected emails and visible text
+  if (state.contacts) {
+    const { emails, phones } = collectDocumentContacts($, state.contactOptions);
+    addContacts(state.contacts.emails, emails, pageUrl);
+    addContacts(state.contacts.phones, phones, pageUrl);
+  }
+
+  applyBestCandidates(state);
+}
+
+/**
+ * Parse the DOM the browser rendered
+ * @param {Object} page - Playwright page
+ * @param {number} deadlineAt - Absolute deadline as a Date.now() timestamp
+ * @returns {Promise<Object>} - { $, url } for the page as it is now
+ */
+async function renderedDocument(page, deadlineAt) {
+  try {
+    return { $: cheerio.load(await page.content()), url: page.url() };
+  } catch (error) {
+    // A client-side redirect replaced the document while it was being read; read the new one
+    if (!/context was destroyed|navigat/i.test(error.message)) throw error;
+    await waitForReady(page, { deadline: deadlineAt });
+    return { $: cheerio.load(await page.content()), url: page.url() };
+  }
+}
+
+/**
+ * Visit same-origin pages breadth-first, most promising first, merging their links into the result
+ * @param {function(string, number): Promise<Object>} load - Loads a URL before a deadline and returns { $, url }
+ * @param {Object} landing - { $, url } of the landing page
+ * @param {Object} state - Extraction state (result, sources, candidates), updated in place
+ * @param {Object} config - Extraction config (maxDepth, maxPages)
+ * @param {number} deadlineAt - Absolute deadline as a Date.now() timestamp
+ */
+async function crawlSite(load, landing, state, config, deadlineAt) {
+  // Use the post-redirect origin so www/non-www and http/https hops are followed
+  const origin = new URL(landing.url).origin;
+  const visited = new Set([normalizePageUrl(landing.url)]);
+  const queue = collectInternalLinks(landing.$, landing.url, origin).map(link => ({ url: link, depth: 1 }));
+  const isComplete = () => Object.values(state.result).every(value => value);
+  let pagesVisited = 1;
+
+  while (queue.length && pagesVisited < config.maxPages && !isComplete() && remainingTime(deadlineAt) > 0) {
+    queue.sort((a, b) => rankCandidatePage(a.url) - rankCandidatePage(b.url) || a.depth - b.depth);
+    const { url, depth } = queue.shift();
+    if (visited.has(url)) continue;
+
+    visited.add(url);
+    pagesVisited++;
+    console.log(`🔗 Crawling ${url} (page ${pagesVisited}/${config.maxPages}, depth ${depth})`);
+
+    try {
+      const loaded = await load(url, deadlineAt);
+      visited.add(normalizePageUrl(loaded.url));
+      extractFromDocument(loaded.$, loaded.url, state);
+
+      if (depth < config.maxDepth) {
+        for (const link of collectInternalLinks(loaded.$, loaded.url, origin)) {
+          if (!visited.has(link)) queue.push({ url: link, depth: depth + 1 });
+        }
+      }
+    } catch (error) {
+      // A broken internal page should not fail the whole site
+      const failure = errorResult(error, url);
+      console.error(`Error crawling ${url} (${failure.error}):`, failure.message);
+    }
+  }
+}
+
+/**
+ * Create the empty extraction state for one site
+ * @param {Object} registry - Platform registry from createPlatformRegistry
+ * @param {Object} config - Options as resolved by extractSocialLinks
+ * @returns {Object} - State with result, sources, candidates and contacts
+ */
+function createExtractionState(registry, config) {
+  // Initialize result object with empty values for each social platform
+  const result = registry.names.reduce((acc, platform) => {
+    acc[platform] = '';
+    return acc;
+  }, { contact: '' });
+  const candidates = registry.names.reduce((acc, platform) => {
+    acc[platform] = new Map();
+    return acc;
+  }, {});
+
+  return {
+    registry,
+    result,
+    sources: {},
+    candidates,
+    contacts: config.extractContacts ? { emails: new Map(), phones: new Map() } : null,
+    contactOptions: { defaultCountry: config.defaultCountry }
+  };
+}
+
+/**
+ * Build the scraper result from the extraction state
+ * @param {Object} state - Extraction state
+ * @param {string} fetchMode - 'http' or 'browser', whichever produced the result
+ * @returns {Object} - Best link per platform, sources, scored candidates, emails and phones
+ */
+function extractionOutput(state, fetchMode) {
+  return {
+    ...state.result,
+    sources: state.sources,
+    candidates: rankCandidates(state.candidates),
+    ...(state.contacts && {
+      emails: [...state.contacts.emails.values()],
+      phones: [...state.contacts.phones.values()]
+    }),
+    fetchMode
+  };
+}
+
+// Whether anything at all was found: a social link, an email or a phone number
+const hasFindings = (state) => state.registry.names.some(platform => state.result[platform]) ||
+  Boolean(state.contacts && (state.contacts.emails.size || state.contacts.phones.size));
+
+/**
+ * Fetch a website over plain HTTP and extract its social links and contacts without a browser
+ * In 'auto' mode the attempt gives up, so the browser can take over, when the page looks rendered by JavaScript or
+ * yields nothing. A page that fails to load, or answers with a block, is a final result in every mode.
+ * @param {string} url - Normalized website URL
+ * @param {Object} registry - Platform registry from createPlatformRegistry
+ * @param {Object} config - Options as resolved by extractSocialLinks
+ * @returns {Promise<Object>} - { output } with the result and any artifacts, or { fallback, recordArtifacts } with the
+ *   reason to use the browser and a function that captures the HTTP attempt's artifacts once the browser's outcome
+ *   is known
+ */
+async function extractOverHttp(url, registry, config) {
+  const deadlineAt = Date.now() + config.deadline;
+  const auto = config.fetchMode === 'auto';
+  const recorder = createArtifactRecorder(config.artifacts, url);
+
+  const session = await acquireSession(config.network, url);
+  const state = createExtractionState(registry, config);
+  // The last response received, error pages included, is what the artifacts capture
+  let lastResponse = null;
+  const load = (pageUrl, deadline) => fetchDocument(pageUrl, {
+    timeout: boundedTimeout(config.httpTimeout, deadline),
+    contextOptions: session.contextOptions,
+    onResponse: (response) => {
+      lastResponse = response;
+    }
+  });
+
+  let outcome;
+  try {
+    const landing = await load(url, deadlineAt);
+    assertDocumentNotBlocked(landing.$, { status: landing.status, url: landing.url, requestedUrl: url });
+
+    if (auto && looksJsRendered(landing.$)) {
+      outcome = { fallback: 'the page looks rendered by JavaScript' };
+    } else {
+      extractFromDocument(landing.$, landing.url, state);
+      console.log("🔍 SocialLinkFinder (HTTP):", state.result);
+
+      if (config.crawl) {
+        await crawlSite(load, landing, state, config, deadlineAt);
+        console.log("🔍 SocialLinkFinder (HTTP, after crawl):", state.result);
+      }
+
+      outcome = auto && !hasFindings(state)
+        ? { fallback: 'nothing was found in the served HTML' }
+        : { output: extractionOutput(state, 'http') };
+    }
+  } catch (error) {
+    // A failure is final: the browser would hit the same host again, and a captcha, login wall or rate limit has to
+    // reach the session so the host cools down
+    outcome = { output: { ...errorResult(error, url), fetchMode: 'http' } };
+  }
+
+  // A fallback is not the session's fault; only a final outcome counts towards proxy health and host cooldowns
+  session.release(outcome.output ? outcome.output.error || '' : ErrorCodes.UNKNOWN);
+
+  if (outcome.fallback) {
+    return { ...outcome, recordArtifacts: (failed) => recorder.finishResponse(failed, lastResponse) };
+  }
+  const artifacts = recorder.finishResponse(Boolean(outcome.output.error), lastResponse);
+  return artifacts ? { output: { ...outcome.output, artifacts } } : outcome;
+}
+
+/**
+ * Load a website once in the browser with a fresh session and extract its social links and contacts
+ * @param {string} url - Normalized website URL
+ * @param {Object} registry - Platform registry from createPlatformRegistry
+ * @param {Object} config - Options as resolved by extractSocialLinks
+ * @returns {Promise<Object>} - Extraction result or an error result, with artifacts when captured
+ */
+async function extractInBrowser(url, registry, config) {
+  const deadlineAt = Date.now() + config.deadline;
+  const recorder = createArtifactRecorder(config.artifacts, url);
+
+  const session = await acquireSession(config.network, url);
+
+  let opened;
+  try {
+    opened = await openPage(config.pool, {
+      browserType: chromium,
+      launchOptions: { headless: config.headless },
+      contextOptions: {
+        ...session.contextOptions,
+        ...(config.sessionStore && config.sessionStore.contextOptions(url)),
+        ...recorder.contextOptions
+      },
+      dedicatedContext: recorder.dedicatedContext
+    });
+  } catch (error) {
+    session.release(ErrorCodes.UNKNOWN);
+    throw error;
+  }
+  const { page, close } = opened;
+  await recorder.start(page);
+
+  const load = async (pageUrl, deadline) => {
+    const response = await page.goto(pageUrl, { timeout: boundedTimeout(config.timeout, deadline) });
+    assertResponseOk(response, pageUrl);
+    await waitForReady(page, { deadline });
+    return renderedDocument(page, deadline);
+  };
+
+  let output;
+  try {
+    // Navigate to the target URL
+    const response = await page.goto(url, { timeout: boundedTimeout(config.timeout, deadlineAt) });
+    if (config.dismissConsent) await dismissConsent(page);
+    await assertNotBlocked(page, { response, url });
+    assertResponseOk(response, url, await page.evaluate(() => document.body ? document.body.innerText : ''));
+
+    const state = createExtractionState(registry, config);
+
+    await waitForReady(page, { deadline: deadlineAt });
+    let landing = await renderedDocument(page, deadlineAt);
+    extractFromDocument(landing.$, landing.url, state);
+
+    // Give late-rendering widgets a chance when the caller knows what to wait for
+    if (!Object.values(state.result).some(value => value) && config.readySelector) {
+      const { selectorFound } = await waitForReady(page, { deadline: deadlineAt, selector: config.readySelector });
+      if (selectorFound) {
+        landing = await renderedDocument(page, deadlineAt);
+        extractFromDocument(landing.$, landing.url, state);
+      }
+    }
+
+    console.log("🔍 SocialLinkFinder:", state.result);
+
+    // Follow internal pages for whatever the landing page did not provide
+    if (config.crawl) {
+      await crawlSite(load, landing, state, config, deadlineAt);
+      console.log("🔍 SocialLinkFinder (after crawl):", state.result);
+    }
+
+    if (config.sessionStore) await config.sessionStore.save(page, url);
+
+    output = extractionOutput(state, 'browser');
+
+  } catch (error) {
+    output = { ...errorResult(error, url), fetchMode: 'browser' };
+    console.error(`Error extracting social links (${output.error}):`, output.message);
+  }
+
+  const artifacts = await recorder.finish(page, Boolean(output.error), close);
+  session.release(output.error || '');
+  return artifacts ? { ...output, artifacts } : output;
+}
+
+/**
+ * Extract a website's social links and contacts once, over HTTP first when the fetch mode allows it
+ * @param {string} url - Normalized website URL
+ * @param {Object} registry - Platform registry from createPlatformRegistry
+ * @param {Object} config - Options as resolved by extractSocialLinks
+ * @returns {Promise<Object>} - Extraction result or an error result
+ */
+async function extractAttempt(url, registry, config) {
+  if (config.fetchMode === 'browser') return extractInBrowser(url, registry, config);
+
+  const { output, fallback, recordArtifacts } = await extractOverHttp(url, registry, config);
+  if (output) return output;
+  console.log(`🌐 Loading ${url} in the browser: ${fallback}`);
+
+  const browserOutput = await extractInBrowser(url, registry, config);
+  const httpArtifacts = recordArtifacts(Boolean(browserOutput.error));
+  return httpArtifacts ? { ...browserOutput, artifacts: { ...browserOutput.artifacts, http: httpArtifacts } } : browserOutput;
+}
 
 /**
  * Extract social media links from a website
  * @param {string} targetUrl - The website URL to extract social links from
  * @param {Object} options - Configuration options
  * @param {boolean} options.headless - Whether to run browser in headless mode (default: true)
- * @param {number} options.timeout - Timeout in milliseconds (default: 30000)
- * @param {number} options.maxRetries - Maximum number of retries (default: 30)
- * @returns {Promise<Object>} - Object containing extracted social media links
+ * @param {number} options.timeout - Navigation timeout in milliseconds (default: 30000)
+ * @param {number} options.deadline - Time budget per attempt in milliseconds, including crawling (default: 60000)
+ * @param {string} options.readySelector - Selector to wait for when the first pass finds nothing (default: none)
+ * @param {boolean} options.crawl - Follow same-origin links when the landing page is incomplete (default: false)
+ * @param {number} options.maxDepth - Maximum link depth to follow from the landing page when crawling (default: 2)
+ * @param {number} options.maxPages - Maximum number of pages to visit, including the landing page (default: 10)
+ * @param {Object[]} options.platforms - Extra or overriding platform definitions, see social_platforms.js (default: none)
+ * @param {boolean} options.extractContacts - Also collect emails and phone numbers (default: true)
+ * @param {string} options.defaultCountry - ISO 3166 alpha-2 country for normalizing national phone numbers (default: none)
+ * @param {Object} options.pool - Shared pool from createBrowserPool; a browser is launched per call when omitted (default: null)
+ * @param {string|Object} options.artifacts - Debug artifacts to capture, see artifacts.js (default: 'off')
+ * @param {Object} options.network - Policy from createNetworkPolicy for proxies, pacing and fingerprints (default: null, direct)
+ * @param {number} options.blockRetries - Attempts after a captcha, login wall or rate limit, see retryWhenBlocked (default: 1)
+ * @param {number} options.blockBackoff - Wait before the first retry in milliseconds, doubled on each one (default: 15000)
+ * @param {Object} options.sessionStore - Store from createSessionStore to reuse and save the site's cookies (default: null)
+ * @param {boolean} options.dismissConsent - Close cookie consent dialogs and login modals before extracting (default: true)
+ * @param {string} options.fetchMode - 'auto' fetches over plain HTTP and falls back to the browser for pages that look
+ *   rendered by JavaScript or yield nothing; 'http' or 'browser' use only one (default: 'auto')
+ * @param {number} options.httpTimeout - Timeout per HTTP request in milliseconds (default: 15000)
+ * @returns {Promise<Object>} - Best link per platform, the page each was found on, every scored candidate, emails and phones,
+ *   or { error, message, status, url, deferred } where error is a code from ErrorCodes and deferred marks blocks worth
+ *   retrying later; fetchMode tells whether 'http' or 'browser' produced it and artifacts holds the paths of any
+ *   files captured, with those of an HTTP attempt the browser took over from under artifacts.http
+ * @throws {TypeError} - When fetchMode is unknown, or 'http' is combined with proxies, which plain requests cannot use
  */
 async function extractSocialLinks(targetUrl, options = {}) {
   // Default options
   const config = {
     headless: true, // Always use headless mode in environments without X server
+    pool: null,
     timeout: 30000,
-    maxRetries: 30,
+    deadline: 60000,
+    readySelector: '',
+    crawl: false,
+    maxDepth: 2,
+    maxPages: 10,
+    platforms: [],
+    extractContacts: true,
+    defaultCountry: '',
+    artifacts: 'off',
+    network: null,
+    blockRetries: 1,
+    blockBackoff: 15000,
+    sessionStore: null,
+    dismissConsent: true,
+    fetchMode: 'auto',
+    httpTimeout: 15000,
     ...options
   };
 
+  if (!fetchModes.includes(config.fetchMode)) {
+    throw new TypeError(`Unknown fetch mode "${config.fetchMode}"; expected one of ${fetchModes.join(', ')}`);
+  }
+
+  // Plain requests cannot go through the policy's proxies, so proxied runs always use the browser
+  const proxied = Boolean(config.network) && config.network.stats().proxies.some(proxy => proxy.server);
+  if (proxied && config.fetchMode === 'http') {
+    throw new TypeError('Fetch mode "http" cannot be used with proxies');
+  }
+  const fetchMode = proxied ? 'browser' : config.fetchMode;
+
   // Normalize the URL
   let url = targetUrl.trim();
   if (!url.match(/^https?:\/\//i)) {
     url = "http://" + url;
   }
-  
+
   console.log(`Extracting social links from: ${url}`);
 
-  const browser = await chromium.launch({ headless: config.headless });
-  const context = await browser.newContext({
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-    viewport: { width: 1280, height: 800 }
+  const registry = createPlatformRegistry(config.platforms);
+
+  return retryWhenBlocked(() => extractAttempt(url, registry, { ...config, fetchMode }), {
+    retries: config.blockRetries,
+    backoff: config.blockBackoff,
+    label: url
   });
-  const page = await context.newPage();
-  
-  try {
-    // Navigate to the target URL
-    await page.goto(url, { timeout: config.timeout });
-    
-    // Initialize result object with empty values for each social platform
-    const socialPlatforms = ['facebook', 'instagram', 'twitter', 'youtube', 'linkedin'];
-    const result = socialPlatforms.reduce((acc, platform) => {
-      acc[platform] = '';
-      return acc;
-    }, { contact: '' });
-    
-    // Helper function to check if we found any social links
-    const hasSocialLinks = () => Object.values(result).some(value => value);
-    
-    // Helper function to extract links from an element
-    const extractLinksFrom = async (element) => {
-      const links = await element.$$('a[href]');
-      for (const link of links) {
-        const href = await link.getAttribute('href');
-        if (!href) continue;
-        
-        const hrefLower = href.toLowerCase();
-        
-        // Check for social media links
-        for (const platform of socialPlatforms) {
-          if (!result[platform] && hrefLower.includes(`${platform}.com`)) {
-            result[platform] = href;
-          }
-        }
-        
-        // Check for contact link
-        if (!result.contact && 
-            (hrefLower.includes('/contact') || 
-             (await link.textContent()).toLowerCase().includes('contact'))) {
-          result.contact = href;
-        }
-      }
-    };
-    
-    // Main extraction function with retries
-    let attempts = 0;
-    
-    while (attempts < config.maxRetries && !hasSocialLinks()) {
-      attempts++;
-      console.log(`🔁 Attempt ${attempts}/${config.maxRetries}`);
-      
-      try {
-        // 1. Check header and footer
-        const header = await page.$('header');
-        const footer = await page.$('footer');
-        
-        if (header) await extractLinksFrom(header);
-        if (footer) await extractLinksFrom(footer);
-        
-        // 2. Check structured data (application/ld+json)
-        const jsonLdScripts = await page.$$('script[type="application/ld+json"]');
-        for (const script of jsonLdScripts) {
-          try {
-            const content = await script.textContent();
-            const jsonData = JSON.parse(content);
-            
-            // Handle both direct sameAs and array of objects with sameAs
-            let sameAs = jsonData.sameAs;
-            if (!sameAs && Array.isArray(jsonData) && jsonData[0]) {
-              sameAs = jsonData[0].sameAs;
-            }
-            
-            if (sameAs) {
-              const links = Array.isArray(sameAs) ? sameAs : [sameAs];
-              for (const link of links) {
-                const linkLower = link.toLowerCase();
-                for (const platform of socialPlatforms) {
-                  if (!result[platform] && linkLower.includes(`${platform}.com`)) {
-                    result[platform] = link;
-                  }
-                }
-              }
-            }
-          } catch (e) {
-            // Ignore JSON parsing errors
-          }
-        }
-        
-        // 3. Check rel="me" links
-        const relMeLinks = await page.$$('link[rel~="me"]');
-        for (const link of relMeLinks) {
-          const href = await link.getAttribute('href');
-          if (!href) continue;
-          
-          const hrefLower = href.toLowerCase();
-          for (const platform of socialPlatforms) {
-            if (!result[platform] && hrefLower.includes(`${platform}.com`)) {
-              result[platform] = href;
-            }
-          }
-        }
-        
-        // 4. Check meta tags
-        // Twitter
-        const twitterSite = await page.$('meta[name="twitter:site"]');
-        if (twitterSite && !result.twitter) {
-          const content = await twitterSite.getAttribute('content');
-          if (content) {
-            result.twitter = content.trim();
-          }
-        }
-        
-        // OpenGraph see_also
-        const ogSeeAlso = await page.$('meta[property="og:see_also"]');
-        if (ogSeeAlso) {
-          const content = await ogSeeAlso.getAttribute('content');
-          if (content) {
-            const links = content.split(',');
-            for (const link of links) {
-              const linkLower = link.toLowerCase();
-              for (const platform of socialPlatforms) {
-                if (!result[platform] && linkLower.includes(`${platform}.com`)) {
-                  result[platform] = link.trim();
-                }
-              }
-            }
-          }
-        }
-        
-        // 5. If still no results, check the entire document
-        if (!hasSocialLinks()) {
-          await extractLinksFrom(page);
-        }
-        
-        // 6. Last resort: regex search in HTML
-        if (!hasSocialLinks()) {
-          const html = await page.content();
-          for (const platform of socialPlatforms) {
-            if (!result[platform]) {
-              const regex = new RegExp(`(?:https?:)?\\/\\/[^"'>]*${platform}\\.com[\\w\\./?=&%-]*`, 'gi');
-              const match = regex.exec(html);
-              if (match) {
-                result[platform] = match[0];
-              }
-            }
-          }
-        }
-        
-        console.log("🔍 SocialLinkFinder:", result);
-        
-        // If we found links or reached max attempts, break the loop
-        if (hasSocialLinks() || attempts >= config.maxRetries) {
-          break;
-        }
-        
-        // Wait before next attempt
-        await page.waitForTimeout(1000);
-        
-      } catch (error) {
-        console.error(`Error in attempt ${attempts}:`, error.message);
-        // Continue to next attempt
-      }
-    }
-    
-    return result;
-    
-  } catch (error) {
-    console.error('Error extracting social links:', error);
-    return {
-      error: error.message,
-      url: url
-    };
-  } finally {
-    await browser.close();
-  }
 }
 
 // Example usage
 async function main() {
   if (process.argv.length < 3) {
-    console.log('Usage: node social_link_extractor.js <website_url>');
+    console.log('Usage: node social_link_extractor.js <website_url> [--crawl] [--http | --browser]');
     process.exit(1);
   }
-  
+
   const targetUrl = process.argv[2];
-  const result = await extractSocialLinks(targetUrl, { headless: true });
-  
+  const crawl = process.argv.includes('--crawl');
+  const fetchMode = process.argv.includes('--http') ? 'http' : process.argv.includes('--browser') ? 'browser' : 'auto';
+  const result = await extractSocialLinks(targetUrl, { headless: true, crawl, fetchMode });
+
   console.log('\nResults:');
   console.log(JSON.stringify(result, null, 2));
 }
@@ -224,4 +659,4 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
-module.exports = { extractSocialLinks };
+module.exports = { extractSocialLinks, fetchModes };
@@ -0,0 +1,265 @@
+/**
+ * Social platform definition used to recognize and canonicalize profile links
+ * @typedef {Object} PlatformDefinition
+ * @property {string} name - Result key for the platform (e.g. 'facebook')
+ * @property {string[]} hosts - Host names serving the platform, including aliases; subdomains match too
+ * @property {string} [canonicalHost] - Host used in canonical URLs (default: the link's own host)
+ * @property {RegExp[]} profilePatterns - Path patterns that identify a profile; the matched prefix becomes the canonical path
+ * @property {RegExp[]} [exclude] - Path patterns for share buttons, widgets, posts and other non-profile links
+ * @property {string[]} [shortLinkHosts] - Shortener hosts whose links are kept verbatim as profile links
+ * @property {boolean} [caseInsensitive] - Whether profile paths can be lowercased (default: false)
+ * @property {function(URL): string} [resolvePath] - Builds the path to match when the profile lives in the query string
+ * @property {function(string): string} [extractHandle] - Extracts the handle from a canonical profile URL
+ */
+
+// Subdomains that serve widgets, pixels, APIs or static assets rather than profiles
+const nonProfileHosts = /^(?:connect|graph|static|staticxx|platform|syndication|api|developers|ads|analytics|pixel|cdn|l|lm|t|help|business)\./i;
+
+// Mobile and www prefixes that point at the same profile
+const mirrorPrefixes = /^(?:www|m|mobile|web)\./i;
+
+// Default handle: the last path segment, without a leading "@"
+const lastSegment = (profileUrl) => {
+  const segments = new URL(profileUrl).pathname.split('/').filter(Boolean);
+  if (!segments.length) return '';
+  let segment = segments[segments.length - 1];
+  try {
+    segment = decodeURIComponent(segment);
+  } catch (e) {
+    // Not valid percent-encoding; keep the segment as written
+  }
+  return segment.replace(/^@/, '');
+};
+
+const defaultPlatforms = [
+  {
+    name: 'facebook',
+    hosts: ['facebook.com', 'fb.com', 'fb.me'],
+    canonicalHost: 'www.facebook.com',
+    profilePatterns: [/^\/pages\/[^/]+\/\d+/, /^\/people\/[^/]+\/\d+/, /^\/profile\.php\?id=\d+/, /^\/[\w.-]{2,}/],
+    exclude: [
+      /^\/(?:sharer|share|dialog|plugins|tr|login|home\.php|events|groups|watch|hashtag|policies|privacy|help)(?:[/.?]|$)/i,
+      // Posts and media, and profile.php without a numeric id
+      /^\/(?:story\.php|permalink\.php|reels?|videos?|photos?|media|stories|notes|profile\.php(?!\?id=\d))(?:[/.?]|$)/i
+    ],
+    caseInsensitive: true,
+    resolvePath: (parsed) => parsed.pathname === '/profile.php'
+      ? `/profile.php?id=${parsed.searchParams.get('id') || ''}`
+      : parsed.pathname,
+    extractHandle: (profileUrl) => {
+      const parsed = new URL(profileUrl);
+      return parsed.searchParams.get('id') || lastSegment(profileUrl);
+    }
+  },
+  {
+    name: 'instagram',
+    hosts: ['instagram.com', 'instagr.am'],
+    canonicalHost: 'www.instagram.com',
+    profilePatterns: [/^\/[\w.]{1,30}/],
+    exclude: [/^\/(?:p|reel|reels|tv|explore|accounts|stories|embed|developer)(?:[/.?]|$)/i],
+    caseInsensitive: true
+  },
+  {
+    name: 'twitter',
+    hosts: ['twitter.com', 'x.com'],
+    canonicalHost: 'x.com',
+    profilePatterns: [/^\/\w{1,15}/],
+    exclude: [/^\/(?:intent|share|home|search|hashtag|i|widgets|login|signup|tos|privacy)(?:[/.?]|$)/i],
+    caseInsensitive: true
+  },
+  {
+    name: 'youtube',
+    hosts: ['youtube.com', 'youtu.be'],
+    canonicalHost: 'www.youtube.com',
+    // youtu.be only serves videos, so its links never match a channel pattern
+    profilePatterns: [/^\/channel\/[\w-]+/, /^\/c\/[^/?#]+/, /^\/user\/[^/?#]+/, /^\/@[\w.-]+/],
+    exclude: [/^\/(?:embed|watch|iframe_api|results|playlist|shorts|s|yts)(?:[/.?]|$)/i]
+  },
+  {
+    name: 'linkedin',
+    hosts: ['linkedin.com'],
+    canonicalHost: 'www.linkedin.com',
+    profilePatterns: [/^\/(?:company|in|school|showcase)\/[^/?#]+/i],
+    exclude: [/^\/(?:shareArticle|sharing|share|feed|jobs|login|signup|legal)(?:[/.?]|$)/i],
+    shortLinkHosts: ['lnkd.in'],
+    caseInsensitive: true
+  },
+  {
+    name: 'tiktok',
+    hosts: ['tiktok.com'],
+    canonicalHost: 'www.tiktok.com',
+    profilePatterns: [/^\/@[\w.]{2,24}/],
+    exclude: [/^\/(?:embed|share|tag|music|discover)(?:[/.?]|$)/i],
+    shortLinkHosts: ['vm.tiktok.com'],
+    caseInsensitive: true
+  },
+  {
+    name: 'pinterest',
+    hosts: ['pinterest.com', 'pinterest.co.uk', 'pinterest.ca', 'pinterest.com.au', 'pinterest.de', 'pinterest.fr'],
+    canonicalHost: 'www.pinterest.com',
+    profilePatterns: [/^\/[\w.-]{3,30}/],
+    exclude: [/^\/(?:pin|ideas|search|explore|today|login|business|_)(?:[/.?]|$)/i],
+    shortLinkHosts: ['pin.it'],
+    caseInsensitive: true
+  },
+  {
+    name: 'threads',
+    hosts: ['threads.net', 'threads.com'],
+    canonicalHost: 'www.threads.net',
+    profilePatterns: [/^\/@[\w.]{1,30}/],
+    exclude: [/^\/intent(?:[/.?]|$)/i],
+    caseInsensitive: true
+  },
+  {
+    name: 'whatsapp',
+    hosts: ['wa.me', 'whatsapp.com', 'api.whatsapp.com'],
+    canonicalHost: 'wa.me',
+    // A profile is a phone number; share links (wa.me/?text=) and group invites carry none
+    profilePatterns: [/^\/\d{6,15}$/],
+    exclude: [/^\/(?:channel|download|legal)(?:[/.?]|$)/i],
+    resolvePath: (parsed) => {
+      const phone = parsed.pathname === '/send' ? parsed.searchParams.get('phone') || '' : parsed.pathname.slice(1);
+      return `/${phone.replace(/[^\d]/g, '')}`;
+    }
+  },
+  {
+    name: 'yelp',
+    hosts: ['yelp.com', 'yelp.ca', 'yelp.co.uk', 'yelp.com.au', 'yelp.ie'],
+    canonicalHost: 'www.yelp.com',
+    profilePatterns: [/^\/biz\/[\w-]+/],
+    caseInsensitive: true
+  },
+  {
+    name: 'google',
+    hosts: ['google.com'],
+    canonicalHost: 'www.google.com',
+    // Business listings are only identified by Maps place paths and cid queries
+    profilePatterns: [/^\/maps\/place\/[^/?#]+/, /^\/maps\?cid=\d+/],
+    shortLinkHosts: ['g.page', 'maps.app.goo.gl'],
+    resolvePath: (parsed) => {
+      const cid = parsed.searchParams.get('cid');
+      return cid ? `/maps?cid=${cid}` : parsed.pathname;
+    },
+    extractHandle: (profileUrl) => {
+      const parsed = new URL(profileUrl);
+      return parsed.searchParams.get('cid') || lastSegment(profileUrl).replace(/\+/g, ' ');
+    }
+  }
+];
+
+/**
+ * Check that a platform definition has everything the registry relies on
+ * @param {PlatformDefinition} definition - Platform definition to check
+ * @throws {TypeError} - When a required property is missing or malformed
+ */
+function validatePlatform(definition) {
+  if (!definition || typeof definition.name !== 'string' || !definition.name) {
+    throw new TypeError('Platform definition requires a name');
+  }
+  if (!Array.isArray(definition.hosts) || !definition.hosts.length) {
+    throw new TypeError(`Platform "${definition.name}" requires at least one host`);
+  }
+  if (!Array.isArray(definition.profilePatterns) || !definition.profilePatterns.every(p => p instanceof RegExp)) {
+    throw new TypeError(`Platform "${definition.name}" requires profilePatterns as an array of RegExp`);
+  }
+}
+
+/**
+ * Check whether a host belongs to one of the given domains, including subdomains
+ * @param {string} host - Lowercase host name without mirror prefix
+ * @param {string[]} domains - Domains to match
+ * @returns {boolean}
+ */
+function hostMatches(host, domains) {
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Convert a raw link into the canonical profile URL for a platform
+ * @param {PlatformDefinition} platform - Platform definition
+ * @param {string} rawLink - href, sameAs value, meta content or regex match
+ * @returns {string|null} - Canonical profile URL, or null if the link is not a profile
+ */
+function normalizeProfileUrl(platform, rawLink) {
+  let link = rawLink.trim();
+
+  if (link.startsWith('//')) {
+    link = 'https:' + link;
+  } else if (!/^https?:\/\//i.test(link)) {
+    link = 'https://' + link;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(link);
+  } catch (e) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(mirrorPrefixes, '');
+
+  // Shortened links cannot be resolved offline, so they are kept as they are
+  if (platform.shortLinkHosts && hostMatches(host, platform.shortLinkHosts)) {
+    return parsed.pathname.length > 1 ? `https://${host}${parsed.pathname.replace(/\/+$/, '')}` : null;
+  }
+
+  if (!hostMatches(host, platform.hosts)) return null;
+  if (!platform.hosts.includes(host) && nonProfileHosts.test(host)) return null;
+
+  const path = platform.resolvePath ? platform.resolvePath(parsed) : parsed.pathname;
+  if ((platform.exclude || []).some(pattern => pattern.test(path))) return null;
+
+  const pattern = platform.profilePatterns.find(p => p.test(path));
+  if (!pattern) return null;
+
+  let profilePath = path.match(pattern)[0].replace(/\/+$/, '');
+  if (platform.caseInsensitive) profilePath = profilePath.toLowerCase();
+
+  return `https://${platform.canonicalHost || host}${profilePath}`;
+}
+
+/**
+ * Create a registry of social platforms, with custom definitions added to or overriding the defaults
+ * @param {PlatformDefinition[]} customPlatforms - Extra platform definitions (default: none)
+ * @returns {Object} - Registry with the platform names and link matching helpers
+ */
+function createPlatformRegistry(customPlatforms = []) {
+  customPlatforms.forEach(validatePlatform);
+
+  const byName = new Map(defaultPlatforms.map(platform => [platform.name, platform]));
+  for (const platform of customPlatforms) {
+    byName.set(platform.name, platform);
+  }
+  const platforms = [...byName.values()];
+
+  return {
+    platforms,
+    names: platforms.map(platform => platform.name),
+
+    /**
+     * Every host name the registry recognizes, for raw HTML scanning
+     * @returns {string[]}
+     */
+    hosts() {
+      return platforms.flatMap(platform => [...platform.hosts, ...(platform.shortLinkHosts || [])]);
+    },
+
+    /**
+     * Find the platforms a raw link is a profile on
+     * @param {string} rawLink - Link as found on the page
+     * @returns {Array<{platform: string, url: string, handle: string}>} - Canonical profile matches
+     */
+    match(rawLink) {
+      const matches = [];
+      for (const platform of platforms) {
+        const url = normalizeProfileUrl(platform, rawLink);
+        if (!url) continue;
+        const handle = (platform.extractHandle || lastSegment)(url);
+        matches.push({ platform: platform.name, url, handle });
+      }
+      return matches;
+    }
+  };
+}
+
+module.exports = { createPlatformRegistry, defaultPlatforms, normalizeProfileUrl };